@@ -17,6 +17,7 @@ import {
   Code as CodeIcon,
   List as ListIcon,
 } from "lucide-react";
+import { createMockProvider, type ExtractionProvider } from "./extraction_providers";
 
 /**
  * Bank Documents Playground — enhanced
@@ -32,7 +33,8 @@ import {
  *    JSON, and XML.
  *
  * Integration notes:
- * - Replace mockExtract() with a real API call. It now accepts multiple prompts and optional config.
+ * - Extraction runs through the `provider` prop: mockProvider (default), or createHttpProvider() /
+ *   createFixtureProvider() from extraction_providers for the /api/extract backend or saved responses.
  * - When ONLY custom prompts are selected, we pass the user‑provided model/config + field names.
  * - When any library prompt is selected, we pass the form defaults.
  */
@@ -79,7 +81,7 @@ const DEFAULT_CONFIGS: Record<string, { model: string; system: string }> = {
 };
 
 // ---------------------------------------------
-// Mock extraction. Replace with your real API call.
+// Mock extraction. Default provider for offline demos.
 // ---------------------------------------------
 async function mockExtract(_args: {
   form: string;
@@ -141,6 +143,8 @@ async function mockExtract(_args: {
   };
 }
 
+export const mockProvider = createMockProvider(mockExtract);
+
 // Utility to generate a pleasant key
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
@@ -267,7 +271,7 @@ function LibraryPromptMultiSelect({
   );
 }
 
-export default function BankDocsPlayground() {
+export default function BankDocsPlayground({ provider = mockProvider }: { provider?: ExtractionProvider } = {}) {
   const [selectedForm, setSelectedForm] = useState(FORMS[0].value);
 
   // Library prompts (multi-select)
@@ -293,6 +297,8 @@ export default function BankDocsPlayground() {
   const [activeCoord, setActiveCoord] = useState<{ page: number; bbox: [number, number, number, number] } | null>(null);
 
   const [pdfUrl, setPdfUrl] = useState<string | null>(null);
+
+  const [pdfFile, setPdfFile] = useState<File | null>(null);
   const pdfPaneRef = useRef<HTMLDivElement>(null);
 
   // Right-pane preview tabs: "excel" | "json" | "xml"
@@ -377,15 +383,14 @@ export default function BankDocsPlayground() {
         const def = DEFAULT_CONFIGS[selectedForm];
         config = def ? { ...def } : undefined;
       }
-
-      // TODO: Replace mockExtract with your real API call
-      const payload = await mockExtract({
+      const payload = await provider.extract({
         form: selectedForm,
         prompts: promptsToRun,
-        pdfBlob: null,
+        pdfBlob: pdfFile,
         config,
         fieldNames: fieldsHint,
         promptSetName: nameMeta,
+        hadLibraryPrompts: selectedLibraryPrompts.size > 0,
       });
 
       const stabilized = payload.fields.map((f) => ({ ...f, id: f.id || uid("field") }));
@@ -516,7 +521,7 @@ export default function BankDocsPlayground() {
           </div>
 
           {/* PDF upload */}
-          <PdfUpload onUrl={(u) => setPdfUrl(u)} url={pdfUrl} />
+          <PdfUpload onUrl={(u) => setPdfUrl(u)} onFile={(f) => setPdfFile(f)} url={pdfUrl} />
 
           {/* Run extraction */}
           <div className="md:col-span-4 flex items-end">
@@ -736,12 +741,13 @@ function TabButton({ active, onClick, children, icon }: { active: boolean; onCli
   );
 }
 
-function PdfUpload({ onUrl, url }: { onUrl: (u: string | null) => void; url: string | null }) {
+function PdfUpload({ onUrl, onFile, url }: { onUrl: (u: string | null) => void; onFile?: (f: File) => void; url: string | null }) {
   function handlePdfUpload(e: React.ChangeEvent<HTMLInputElement>) {
     const f = e.target.files?.[0];
     if (f) {
       const url = URL.createObjectURL(f);
       onUrl(url);
+      onFile?.(f);
     }
   }
   return (
@@ -0,0 +1,150 @@
+// ---------------------------------------------
+// Extracted fields as the playground models them: the schema a form's fields are validated against,
+// the page regions a field points at, and the reviewer's edit log.
+// ---------------------------------------------
+// ---------- field schemas ----------
+// Each form declares the fields it expects. Values are validated against the schema in the
+// results table and exported with their type and normalized value.
+export type FieldType = "string" | "currency" | "date" | "ssn" | "tin" | "integer" | "enum";
+export type FieldDef = {
+  name: string;
+  type: FieldType;
+  required?: boolean;
+  options?: string[]; // enum only
+  pattern?: string; // optional regex the raw value must match
+};
+
+export const FIELD_TYPES: FieldType[] = ["string", "currency", "date", "ssn", "tin", "integer", "enum"];
+
+export function fieldKey(s: string) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+// Schema entry for a result field: by label, else by id (optionally suffixed with an index)
+export function schemaFor(field: any, schema: FieldDef[]) {
+  const label = fieldKey(field.label);
+  const id = String(field.id || "").replace(/_\d+$/, "");
+  return schema.find((d) => fieldKey(d.name) === label) || schema.find((d) => fieldKey(d.name) === id);
+}
+
+function parseDate(v: string) {
+  let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return [Number(m[1]), Number(m[2]), Number(m[3])];
+  m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) return [m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]), Number(m[1]), Number(m[2])];
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) return null;
+  const d = new Date(t);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()];
+}
+
+// Returns the typed, normalized value and an error message when the raw value doesn't fit
+export function normalizeValue(def: FieldDef, raw: any): { value: any; error?: string } {
+  const v = String(raw ?? "").trim();
+  if (!v) return def.required ? { value: null, error: "Required" } : { value: null };
+  if (def.pattern) {
+    try {
+      if (!new RegExp(def.pattern).test(v)) return { value: v, error: `Does not match ${def.pattern}` };
+    } catch {
+      return { value: v, error: `Invalid pattern ${def.pattern}` };
+    }
+  }
+  switch (def.type) {
+    case "currency": {
+      // Negative only as (1,000), a leading minus (-$1,000, $-1,000) or a trailing one (1,000-)
+      const bare = v.replace(/[$€£\s]/g, "");
+      const negative = /^\(.*\)$/.test(bare) || /^-|-$/.test(bare);
+      const digits = bare.replace(/^\((.*)\)$/, "$1").replace(/^-|-$/, "").replace(/,/g, "");
+      const n = Number(digits);
+      if (!/\d/.test(v) || digits.includes("-") || !Number.isFinite(n)) return { value: v, error: "Not a currency amount" };
+      return { value: negative ? -n : n };
+    }
+    case "integer": {
+      const n = Number(v.replace(/[,\s]/g, ""));
+      if (!Number.isInteger(n)) return { value: v, error: "Not a whole number" };
+      return { value: n };
+    }
+    case "date": {
+      const parts = parseDate(v);
+      if (!parts) return { value: v, error: "Not a date" };
+      const [y, mo, d] = parts;
+      const dt = new Date(Date.UTC(y, mo - 1, d));
+      if (dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return { value: v, error: "Not a valid calendar date" };
+      return { value: dt.toISOString().slice(0, 10) };
+    }
+    case "ssn": {
+      // Masked values keep only the last four digits
+      if (/^[*xX]{3}-?[*xX]{2}-?\d{4}$/.test(v)) return { value: `***-**-${v.slice(-4)}` };
+      const d = v.replace(/\D/g, "");
+      if (d.length !== 9 || /[^\d\s-]/.test(v)) return { value: v, error: "SSN must have 9 digits" };
+      return { value: `${d.slice(0, 3)}-${d.slice(3, 5)}-${d.slice(5)}` };
+    }
+    case "tin": {
+      if (/^[*xX]{2}-?[*xX]{3}\d{4}$/.test(v) || /^[*xX]{3}-?[*xX]{2}-?\d{4}$/.test(v)) return { value: v.toUpperCase().replace(/X/g, "*") };
+      const d = v.replace(/\D/g, "");
+      if (d.length !== 9 || /[^\d\s-]/.test(v)) return { value: v, error: "TIN/EIN must have 9 digits" };
+      // SSN-shaped input stays an SSN; everything else is formatted as an EIN
+      return { value: /^\d{3}-\d{2}-\d{4}$/.test(v) ? v : `${d.slice(0, 2)}-${d.slice(2)}` };
+    }
+    case "enum": {
+      const hit = (def.options || []).find((o) => o.toLowerCase() === v.toLowerCase());
+      if (!hit) return { value: v, error: `Expected one of: ${(def.options || []).join(", ")}` };
+      return { value: hit };
+    }
+    default:
+      return { value: v };
+  }
+}
+
+
+// ---------- coordinate helpers ----------
+// `coord` is either a single `{ page, bbox }` region or an array of them (fields that span
+// several boxes or pages). Always read it through coordRegions().
+export function coordRegions(coord: any): { page: number; bbox: number[] }[] {
+  if (!coord) return [];
+  const list = Array.isArray(coord) ? coord : [coord];
+  return list.filter((r) => r && r.page).map((r) => ({ page: Number(r.page), bbox: r.bbox || [0, 0, 0, 0] }));
+}
+export function clamp01(v: number) {
+  return Math.min(1, Math.max(0, v));
+}
+export function coordPages(coord: any) {
+  return Array.from(new Set(coordRegions(coord).map((r) => r.page))).sort((a, b) => a - b);
+}
+
+
+// ---------- edit history ----------
+// Reviewer edits are logged rather than overwriting the extractor's output: the first `before`
+// recorded for a field is its original. Typing bursts on one field collapse into one entry.
+export type EditEntry = { fieldId: string; label: string; kind: "value" | "coord"; before: any; after: any; at: string };
+export type FieldChange = { id: string; label: string; kind: EditEntry["kind"]; original: any; corrected: any; edits: EditEntry[] };
+export const EDIT_COALESCE_MS = 1500;
+
+// Net original -> corrected per field and kind; edits that were typed back to the original drop out
+export function fieldChanges(edits: EditEntry[], fields: any[]): FieldChange[] {
+  const byKey = new Map<string, EditEntry[]>();
+  for (const e of edits) {
+    const k = `${e.fieldId}\u0000${e.kind}`;
+    byKey.set(k, [...(byKey.get(k) || []), e]);
+  }
+  const out: FieldChange[] = [];
+  for (const list of byKey.values()) {
+    const { fieldId, label, kind } = list[0];
+    const field = fields.find((f) => f.id === fieldId);
+    if (!field) continue;
+    const original = list[0].before;
+    const corrected = field[kind];
+    if (JSON.stringify(original ?? null) === JSON.stringify(corrected ?? null)) continue;
+    out.push({ id: fieldId, label, kind, original, corrected, edits: list });
+  }
+  return out;
+}
+
+function describeCoord(coord: any) {
+  return coordRegions(coord)
+    .map((r) => `p${r.page} [${r.bbox.map((n) => n.toFixed(3)).join(" ")}]`)
+    .join("; ");
+}
+export function describeChange(kind: EditEntry["kind"], v: any) {
+  return kind === "coord" ? describeCoord(v) || "(none)" : String(v ?? "");
+}
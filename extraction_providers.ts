@@ -0,0 +1,186 @@
+// ---------------------------------------------
+// Extraction providers shared by the playgrounds. Each playground accepts one via its
+// `provider` prop, so the same UI can point at dev, staging, or an offline stub.
+// ---------------------------------------------
+// A field the form expects, as the playgrounds' field schemas describe it
+export type SchemaField = { name: string; type: string; required?: boolean; options?: string[]; pattern?: string };
+// How a run with both library and custom prompts picks its config. The backend swaps `config` for the
+// form defaults when `hadLibraryPrompts` is set, unless the policy says the config was chosen explicitly.
+export type MixPolicy = "form-defaults" | "custom-override" | "per-prompt";
+export type ExtractArgs = {
+  form: string;
+  prompts: string[];
+  pdfBlob?: Blob | null;
+  config?: { model?: string; system?: string };
+  fieldNames?: string[];
+  schema?: SchemaField[];
+  promptSetName?: string;
+  promptSetVersion?: number;
+  // raw prompts when any contained {{variables}}; `prompts` holds the rendered text
+  promptTemplates?: string[];
+  hadLibraryPrompts?: boolean;
+  mixPolicy?: MixPolicy;
+  signal?: AbortSignal;
+};
+// What one provider call is sent, minus the PDF and the abort signal
+export type ExtractRequest = Omit<ExtractArgs, "pdfBlob" | "signal">;
+// The model and system text a group of prompts runs with
+export type RunConfig = { model: string; system: string };
+export type ExtractPayload = { fields: any[] };
+export type StreamHandlers = { signal?: AbortSignal; onField: (field: any) => void };
+export type ExtractionProvider = {
+  name: string;
+  extract: (args: ExtractArgs) => Promise<ExtractPayload>;
+  // Optional: emit fields one by one as they are produced. Resolves when the run is complete.
+  stream?: (args: ExtractArgs, handlers: StreamHandlers) => Promise<void>;
+};
+
+// Sleep that rejects with an AbortError as soon as the signal fires.
+export function delay(ms: number, signal?: AbortSignal) {
+  return new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+}
+
+// Emits an already-complete payload field by field, to simulate a streaming backend.
+async function replayFields(fields: any[], { signal, onField }: StreamHandlers, stepMs: number) {
+  for (const f of fields) {
+    await delay(stepMs, signal);
+    onField(f);
+  }
+}
+
+// Reads an NDJSON (one JSON object per line) or SSE (`data: {...}`) body. Each message is
+// a field, `{ fields: [...] }`, `{ error }` or `{ done: true }`.
+async function readFieldStream(res: Response, onField: (field: any) => void) {
+  if (!res.body) throw new Error("Streaming response has no body");
+  const sse = (res.headers.get("content-type") || "").includes("text/event-stream");
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let finished = false;
+  const handleLine = (line: string) => {
+    let t = line.trim();
+    if (sse) {
+      if (!t.startsWith("data:")) return;
+      t = t.slice(5).trim();
+    }
+    if (!t || t === "[DONE]") return;
+    const msg = JSON.parse(t);
+    if (msg.error) throw new Error(`Stream error: ${msg.error}`);
+    if (msg.done) {
+      finished = true;
+      return;
+    }
+    for (const f of Array.isArray(msg.fields) ? msg.fields : [msg]) onField(f);
+  };
+  while (!finished) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl: number;
+    while (!finished && (nl = buf.indexOf("\n")) >= 0) {
+      handleLine(buf.slice(0, nl));
+      buf = buf.slice(nl + 1);
+    }
+  }
+  if (finished) reader.cancel().catch(() => {});
+  else handleLine(buf + decoder.decode());
+}
+
+// Wraps a playground's sample extractor; the default provider for offline demos.
+// Streaming replays the sample payload field by field.
+export function createMockProvider(extract: ExtractionProvider["extract"], { stepMs = 350 }: { stepMs?: number } = {}): ExtractionProvider {
+  return {
+    name: "mock",
+    extract,
+    async stream(args, handlers) {
+      const { fields } = await extract(args);
+      await replayFields(fields, handlers, stepMs);
+    },
+  };
+}
+
+// Speaks the backend's /api/extract multipart contract (payload_json + optional pdf).
+// Streaming posts the same form to `streamPath` and accepts NDJSON or SSE back.
+export function createHttpProvider({
+  baseUrl,
+  apiKey,
+  name = "http",
+  streamPath = "/api/extract/stream",
+}: { baseUrl: string; apiKey?: string; name?: string; streamPath?: string }): ExtractionProvider {
+  const root = baseUrl.replace(/\/+$/, "");
+  async function post(path: string, args: ExtractArgs, accept: string) {
+    const fd = new FormData();
+    const payload = {
+      form: args.form,
+      prompts: args.prompts,
+      config: args.config,
+      fieldNames: args.fieldNames,
+      schema: args.schema,
+      promptSetName: args.promptSetName,
+      promptSetVersion: args.promptSetVersion,
+      promptTemplates: args.promptTemplates,
+      hadLibraryPrompts: args.hadLibraryPrompts,
+      mixPolicy: args.mixPolicy,
+    };
+    fd.append("payload_json", JSON.stringify(payload));
+    if (args.pdfBlob) fd.append("pdf", args.pdfBlob);
+
+    const res = await fetch(`${root}${path}`, {
+      method: "POST",
+      headers: {
+        Accept: accept,
+        ...(apiKey ? { "X-API-KEY": apiKey } : {}),
+      },
+      body: fd,
+      signal: args.signal,
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Backend error ${res.status}: ${text}`);
+    }
+    return res;
+  }
+  return {
+    name,
+    async extract(args) {
+      const res = await post("/api/extract", args, "application/json");
+      return res.json();
+    },
+    async stream(args, { signal, onField }) {
+      const res = await post(streamPath, { ...args, signal }, "application/x-ndjson, text/event-stream");
+      await readFieldStream(res, onField);
+    },
+  };
+}
+
+// Replays saved responses keyed by form ("*" is the fallback). A fixture is either
+// a payload object or a URL to a JSON file holding one.
+export function createFixtureProvider(
+  fixtures: Record<string, ExtractPayload | string>,
+  { latencyMs = 0, stepMs = 200, name = "fixture" }: { latencyMs?: number; stepMs?: number; name?: string } = {}
+): ExtractionProvider {
+  async function load(args: ExtractArgs): Promise<ExtractPayload> {
+    const fixture = fixtures[args.form] ?? fixtures["*"];
+    if (!fixture) throw new Error(`No fixture for form "${args.form}"`);
+    if (latencyMs) await delay(latencyMs, args.signal);
+    if (typeof fixture !== "string") return JSON.parse(JSON.stringify(fixture));
+    const res = await fetch(fixture, { signal: args.signal });
+    if (!res.ok) throw new Error(`Fixture ${fixture} failed with ${res.status}`);
+    return res.json();
+  }
+  return {
+    name,
+    extract: load,
+    async stream(args, handlers) {
+      const { fields } = await load({ ...args, signal: handlers.signal });
+      await replayFields(fields, handlers, stepMs);
+    },
+  };
+}
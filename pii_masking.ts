@@ -0,0 +1,110 @@
+import { schemaFor, type FieldChange, type FieldDef } from "./extraction_fields";
+
+// ---------------------------------------------
+// PII detection and masking for extracted fields.
+// ---------------------------------------------
+// SSNs, TINs/EINs, account and routing numbers are masked everywhere they are shown or exported,
+// keeping the last four digits (the same "***-**-1234" shape the extractor prompts ask for).
+// Revealing a value is limited by role and written to an audit log; unmasked exports are opt-in.
+export type PiiKind = "ssn" | "tin" | "account" | "routing";
+export type ReviewerRole = "viewer" | "reviewer" | "supervisor";
+// `whole`: the field itself is PII (by type or label); otherwise only matching substrings are masked
+export type PiiMatch = { kind: PiiKind; whole: boolean };
+export type PiiAuditEntry = {
+  at: string;
+  role: ReviewerRole;
+  action: "reveal" | "hide" | "reveal-denied" | "unmask-exports" | "export-unmasked";
+  fieldId?: string;
+  label?: string;
+  kind?: PiiKind;
+  detail?: string;
+};
+
+export const PII_LABELS: Record<PiiKind, string> = { ssn: "SSN", tin: "TIN/EIN", account: "account number", routing: "routing number" };
+
+// Kinds each role may reveal on screen; only roles that may reveal every kind can export unmasked
+export const PII_REVEAL: Record<ReviewerRole, PiiKind[]> = {
+  viewer: [],
+  reviewer: ["account", "routing"],
+  supervisor: ["ssn", "tin", "account", "routing"],
+};
+
+export function canExportUnmasked(role: ReviewerRole) {
+  return (Object.keys(PII_LABELS) as PiiKind[]).every((k) => PII_REVEAL[role].includes(k));
+}
+
+// ABA routing numbers carry a 3-7-1 weighted checksum
+function isRoutingNumber(s: string) {
+  const d = s.replace(/\D/g, "");
+  if (d.length !== 9) return false;
+  const n = d.split("").map(Number);
+  return (3 * (n[0] + n[3] + n[6]) + 7 * (n[1] + n[4] + n[7]) + (n[2] + n[5] + n[8])) % 10 === 0;
+}
+
+// Label cues mark the whole field; value patterns catch PII inside free-text fields
+export const PII_DETECTORS: { kind: PiiKind; label: RegExp; value: RegExp; valid?: (s: string) => boolean }[] = [
+  { kind: "ssn", label: /\bssn\b|social security (number|no\b|#)/i, value: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { kind: "tin", label: /\b(tin|ein|itin)\b|(taxpayer|employer) identification/i, value: /\b\d{2}-\d{7}\b/g },
+  { kind: "routing", label: /routing|\baba\b|\brtn\b/i, value: /\b\d{9}\b/g, valid: isRoutingNumber },
+  { kind: "account", label: /account\s*(number|no\b|#)|\bacct\b|\biban\b/i, value: /(?<=\b(acct|account)\.?\s*(no\.?|number|#)?\s*:?\s*)\d[\d-]{4,}\d/gi },
+];
+
+export function detectPii(field: any, def?: FieldDef): PiiMatch | null {
+  const type = def?.type;
+  if (type === "ssn" || type === "tin") return { kind: type, whole: true };
+  const label = String(field.label || "");
+  const byLabel = PII_DETECTORS.find((d) => d.label.test(label));
+  if (byLabel) return { kind: byLabel.kind, whole: true };
+  const value = String(field.value ?? "");
+  const byValue = PII_DETECTORS.find((d) => [...value.matchAll(d.value)].some((m) => !d.valid || d.valid(m[0])));
+  return byValue ? { kind: byValue.kind, whole: false } : null;
+}
+
+// Every digit but the last four becomes "*"; short values are masked entirely
+export function maskDigits(s: string, keep = 4) {
+  const total = (s.match(/\d/g) || []).length;
+  const hide = total > keep ? total - keep : total;
+  let seen = 0;
+  return s.replace(/\d/g, (d) => (seen++ < hide ? "*" : d));
+}
+
+export function maskPiiText(v: any, match: PiiMatch | null | undefined) {
+  if (!match || v == null || v === "") return v;
+  const s = String(v);
+  if (match.whole) return maskDigits(s);
+  return PII_DETECTORS.reduce((out, d) => out.replace(d.value, (m) => (!d.valid || d.valid(m) ? maskDigits(m) : m)), s);
+}
+
+export function piiMatches(fields: any[], schema: FieldDef[]) {
+  const out = new Map<string, PiiMatch>();
+  for (const f of fields) {
+    const m = detectPii(f, schemaFor(f, schema));
+    if (m) out.set(f.id, m);
+  }
+  return out;
+}
+
+// Masked copies of (typed) fields; ids in `keep` are left as they are
+export function maskFields(fields: any[], pii: Map<string, PiiMatch>, keep?: Set<string>) {
+  return fields.map((f) => {
+    const m = pii.get(f.id);
+    if (!m || keep?.has(f.id)) return f;
+    const out = { ...f, value: maskPiiText(f.value, m) };
+    if ("originalValue" in f) out.originalValue = maskPiiText(f.originalValue, m);
+    if (f.normalized != null) out.normalized = maskPiiText(f.normalized, m);
+    return out;
+  });
+}
+
+export function maskChanges(changes: FieldChange[], pii: Map<string, PiiMatch>, keep?: Set<string>) {
+  return changes.map((c) => {
+    const m = pii.get(c.id);
+    if (!m || c.kind !== "value" || keep?.has(c.id)) return c;
+    return {
+      ...c,
+      original: maskPiiText(c.original, m),
+      corrected: maskPiiText(c.corrected, m),
+      edits: c.edits.map((e) => ({ ...e, before: maskPiiText(e.before, m), after: maskPiiText(e.after, m) })),
+    };
+  });
+}
@@ -18,6 +18,7 @@ import {
   Maximize2,
   Minimize2,
 } from "lucide-react";
+import { createMockProvider, type ExtractionProvider } from "./extraction_providers";
 
 /**
  * Bank Documents Playground — Unified Details
@@ -74,7 +75,7 @@ const DEFAULT_CONFIGS: Record<string, { model: string; system: string }> = {
 };
 
 // ---------------------------------------------
-// Mock extraction. Replace with your real API call.
+// Mock extraction. Default provider for offline demos.
 // ---------------------------------------------
 async function mockExtract(_args: any) {
   await new Promise((r) => setTimeout(r, 600));
@@ -117,6 +118,8 @@ async function mockExtract(_args: any) {
   };
 }
 
+export const mockProvider = createMockProvider(mockExtract);
+
 // ---------- small utils ----------
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
@@ -412,7 +415,7 @@ function UnifiedDetails(props: {
 }
 
 // ---------- Main component ----------
-export default function BankDocsPlaygroundUnified() {
+export default function BankDocsPlaygroundUnified({ provider = mockProvider }: { provider?: ExtractionProvider } = {}) {
   const [selectedForm, setSelectedForm] = useState(FORMS[0].value);
 
   // Prompts state
@@ -435,6 +438,8 @@ export default function BankDocsPlaygroundUnified() {
 
   const [pdfUrl, setPdfUrl] = useState<string | null>(null);
 
+  const [pdfFile, setPdfFile] = useState<File | null>(null);
+
   // Preview tabs (for results)
   const [previewTab, setPreviewTab] = useState<"excel" | "json" | "xml">("excel");
 
@@ -518,13 +523,14 @@ export default function BankDocsPlaygroundUnified() {
         config = def ? { ...def } : undefined;
       }
 
-      const payload = await mockExtract({
+      const payload = await provider.extract({
         form: selectedForm,
         prompts: promptsToRun,
-        pdfBlob: null,
+        pdfBlob: pdfFile,
         config,
         fieldNames: fieldsHint,
         promptSetName: nameMeta,
+        hadLibraryPrompts: selectedLibraryPrompts.size > 0,
       });
 
       const stabilized = payload.fields.map((f: any) => ({ ...f, id: f.id || uid("field") }));
@@ -541,7 +547,7 @@ export default function BankDocsPlaygroundUnified() {
     } finally {
       setLoading(false);
     }
-  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, customModel, customSystem, fieldNames, promptSetName, selectedForm]);
+  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, customModel, customSystem, fieldNames, promptSetName, selectedForm, provider, pdfFile]);
 
   const updateField = useCallback((id: string, value: string) => {
     startTransition(() => {
@@ -717,7 +723,7 @@ export default function BankDocsPlaygroundUnified() {
               </div>
 
               {/* PDF upload */}
-              <PdfUpload onUrl={(u) => setPdfUrl(u)} url={pdfUrl} />
+              <PdfUpload onUrl={(u) => setPdfUrl(u)} onFile={(f) => setPdfFile(f)} url={pdfUrl} />
 
               {/* Run extraction */}
               <div className="md:col-span-4 flex items-end">
@@ -820,7 +826,7 @@ export default function BankDocsPlaygroundUnified() {
         <footer className="mx-auto max-w-7xl px-4 pb-8">
           <div className="text-[12px] text-neutral-500">
             <p>
-              This is a non-admin playground. No data is persisted. To integrate with production services, connect the Run Extraction action to your AI agent endpoint. When combining library & custom prompts, the component defaults to the form's predefined system configuration.
+              This is a non-admin playground. No data is persisted. To integrate with production services, pass an extraction provider (e.g. createHttpProvider) to the playground. When combining library & custom prompts, the component defaults to the form's predefined system configuration.
             </p>
           </div>
         </footer>
@@ -844,12 +850,13 @@ function TabButton({ active, onClick, children, icon }: any) {
   );
 }
 
-function PdfUpload({ onUrl, url }: { onUrl: (u: string) => void; url: string | null }) {
+function PdfUpload({ onUrl, onFile, url }: { onUrl: (u: string) => void; onFile?: (f: File) => void; url: string | null }) {
   function handlePdfUpload(e: React.ChangeEvent<HTMLInputElement>) {
     const f = (e.target.files && e.target.files[0]) || null;
     if (f) {
       const url = URL.createObjectURL(f);
       onUrl(url);
+      onFile?.(f);
     }
   }
   return (
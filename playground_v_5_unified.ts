@@ -1,6 +1,16 @@
 $1
 import * as pdfjsLib from "pdfjs-dist";
+import * as XLSX from "xlsx";
+import { PDFDocument } from "pdf-lib";
+import { createMockProvider, delay, type ExtractionProvider, type ExtractPayload, type ExtractRequest, type MixPolicy, type RunConfig } from "./extraction_providers";
+import { clamp01, coordPages, coordRegions, describeChange, EDIT_COALESCE_MS, FIELD_TYPES, fieldChanges, fieldKey, normalizeValue, schemaFor, type EditEntry, type FieldChange, type FieldDef, type FieldType } from "./extraction_fields";
+import { canExportUnmasked, detectPii, maskChanges, maskDigits, maskFields, maskPiiText, PII_DETECTORS, PII_LABELS, PII_REVEAL, piiMatches, type PiiAuditEntry, type PiiKind, type PiiMatch, type ReviewerRole } from "./pii_masking";
+import { freezeRunRecord, maskRunRecord, MAX_RUN_RECORDS, runRecordFileText, type RunMeta, type RunRecord } from "./run_records";
+import { AUTOSAVE_KEY, AUTOSAVE_PENDING_KEY, clearAutosave, loadAutosave, pdfHash, saveAutosave, SESSION_VERSION, sessionDbRequest, sessionFromFileText, sessionToFileText, sha256Hex, type ReviewSession } from "./review_sessions";
+import { toXML, toXSD, validateXmlAgainstXsd, xmlRootName, XSI_NS } from "./xml_export";
 
+// npm dependencies: pdfjs-dist (rendering, text layer), xlsx (CSV/XLSX export), pdf-lib (redacted PDF export)
+// and xmllint-wasm (XSD validation of the XML tab; imported on first use).
 // Configure PDF.js worker (use a pinned CDN build or your own hosted worker)
 pdfjsLib.GlobalWorkerOptions.workerSrc =
   "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.5.136/pdf.worker.min.js";
@@ -19,12 +29,74 @@ pdfjsLib.GlobalWorkerOptions.workerSrc =
  */
 
 // ---------- Static form/prompt data ----------
-const FORMS = [
-  { value: "10-k", label: "Form 10-K" },
-  { value: "10-q", label: "Form 10-Q" },
-  { value: "1040", label: "Form 1040 (US Individual Tax)" },
-  { value: "1099", label: "Form 1099" },
-  { value: "w2", label: "Form W-2" },
+const FORMS: { value: string; label: string; schema: FieldDef[] }[] = [
+  {
+    value: "10-k",
+    label: "Form 10-K",
+    schema: [
+      { name: "Company Name", type: "string", required: true },
+      { name: "CIK", type: "string", pattern: "^\\d{1,10}$" },
+      { name: "Fiscal Year", type: "string", required: true, pattern: "^(FY\\s?)?\\d{4}$" },
+      { name: "Auditor", type: "string" },
+      { name: "Revenue", type: "currency" },
+      { name: "Net Income", type: "currency" },
+      { name: "Risk Factors", type: "string" },
+    ],
+  },
+  {
+    value: "10-q",
+    label: "Form 10-Q",
+    schema: [
+      { name: "Company Name", type: "string", required: true },
+      { name: "Quarter", type: "enum", required: true, options: ["Q1", "Q2", "Q3", "Q4"] },
+      { name: "Year", type: "integer", required: true },
+      { name: "Outstanding Shares", type: "integer" },
+    ],
+  },
+  {
+    value: "1040",
+    label: "Form 1040 (US Individual Tax)",
+    schema: [
+      { name: "Taxpayer Name", type: "string", required: true },
+      { name: "SSN", type: "ssn", required: true },
+      {
+        name: "Filing Status",
+        type: "enum",
+        options: ["Single", "Married filing jointly", "Married filing separately", "Head of household", "Qualifying surviving spouse"],
+      },
+      { name: "Dependents", type: "integer" },
+      { name: "Total Income", type: "currency" },
+      { name: "AGI", type: "currency", required: true },
+      { name: "Refund", type: "currency" },
+      { name: "Amount Due", type: "currency" },
+    ],
+  },
+  {
+    value: "1099",
+    label: "Form 1099",
+    schema: [
+      { name: "Payer Name", type: "string", required: true },
+      { name: "Payer TIN", type: "tin" },
+      { name: "Recipient Name", type: "string", required: true },
+      { name: "Recipient TIN", type: "tin", required: true },
+      { name: "Box 1 Amount", type: "currency" },
+      { name: "Federal Income Tax Withheld", type: "currency" },
+    ],
+  },
+  {
+    value: "w2",
+    label: "Form W-2",
+    schema: [
+      { name: "Employer", type: "string", required: true },
+      { name: "Employer EIN", type: "tin" },
+      { name: "Employee", type: "string", required: true },
+      { name: "Employee SSN", type: "ssn", required: true },
+      { name: "Wages", type: "currency", required: true },
+      { name: "Federal Income Tax Withheld", type: "currency" },
+      { name: "State Wages", type: "currency" },
+      { name: "Local Wages", type: "currency" },
+    ],
+  },
 ];
 
 const PROMPT_LIBRARY: Record<string, string[]> = {
@@ -60,16 +132,40 @@ const DEFAULT_CONFIGS: Record<string, { model: string; system: string }> = {
 };
 
 // ---------------------------------------------
-// Mock extraction. Replace with your real API call.
+// Mock extraction. Default provider for offline demos.
 // ---------------------------------------------
+function sampleValue(def: FieldDef | undefined, name: string) {
+  switch (def?.type) {
+    case "currency":
+      return "$ 12,500.00";
+    case "integer":
+      return "3";
+    case "date":
+      return "03/15/2024";
+    case "ssn":
+      return "123 45 6789";
+    case "tin":
+      return "123456789";
+    case "enum":
+      return def.options?.[0] || "";
+    default:
+      return `<<sample ${name}>>`;
+  }
+}
+
 async function mockExtract(_args: any) {
-  await new Promise((r) => setTimeout(r, 600));
+  await delay(600, _args.signal);
+  const prompts: string[] = _args.prompts || [];
+  const sourceOf = (i: number) => (prompts.length ? prompts[i % prompts.length] : undefined);
   if (_args.fieldNames && _args.fieldNames.length) {
+    const schema: FieldDef[] = _args.schema || [];
     const demo = _args.fieldNames.map((name: string, i: number) => ({
       id: name.toLowerCase().replace(/[^a-z0-9]+/gi, "_") + "_" + i,
       label: name,
-      value: `<<sample ${name}>>`,
+      value: sampleValue(schema.find((d) => d.name === name), name),
       coord: { page: (i % 3) + 1, bbox: [0.1 + i * 0.04, 0.2 + i * 0.05, 0.22, 0.035] },
+      confidence: Math.round((0.55 + ((i * 37) % 45) / 100) * 100) / 100,
+      source: sourceOf(i),
     }));
     return { fields: demo };
   }
@@ -80,79 +176,1120 @@ async function mockExtract(_args: any) {
         label: "Company Name",
         value: "Acme Corp",
         coord: { page: 1, bbox: [0.12, 0.18, 0.24, 0.035] },
+        confidence: 0.97,
+        source: sourceOf(0),
       },
       {
         id: "fiscal_year",
         label: "Fiscal Year",
         value: "FY 2024",
         coord: { page: 1, bbox: [0.12, 0.23, 0.14, 0.03] },
+        confidence: 0.91,
+        source: sourceOf(1),
       },
       {
         id: "auditor",
         label: "Auditor",
         value: "Example & Co. LLP",
         coord: { page: 2, bbox: [0.58, 0.82, 0.28, 0.04] },
+        confidence: 0.64,
+        source: sourceOf(2),
       },
       {
         id: "revenue",
         label: "Revenue",
         value: "$ 1,234,567",
         coord: { page: 3, bbox: [0.65, 0.42, 0.18, 0.032] },
+        confidence: 0.72,
+        source: sourceOf(3),
+      },
+      {
+        id: "risk_factors",
+        label: "Risk Factors",
+        value: "Competition; supply chain disruption; regulatory change",
+        coord: [
+          { page: 2, bbox: [0.1, 0.3, 0.8, 0.035] },
+          { page: 2, bbox: [0.1, 0.34, 0.62, 0.035] },
+          { page: 3, bbox: [0.1, 0.12, 0.7, 0.035] },
+        ],
+        confidence: 0.78,
+        source: sourceOf(4),
       },
     ],
   };
 }
 
+export const mockProvider = createMockProvider(mockExtract);
+
+// ---------------------------------------------
+// Form classification. Runs on PDF upload to suggest the form (and its library prompts).
+// Pass a different `classifier` to the playground to use a model or a service instead.
+// ---------------------------------------------
+type FormClassification = { form: string; confidence: number; scores: Record<string, number> };
+type FormClassifier = {
+  name: string;
+  // `text` lazily extracts the first pages' text with pdf.js
+  classify: (input: { pdf: Blob; text: () => Promise<string> }) => Promise<FormClassification | null>;
+};
+
+// Confidence at or above which the suggested form is selected automatically
+const CLASSIFY_AUTOSELECT = 0.6;
+const CLASSIFY_MAX_PAGES = 3;
+
+// Weighted cues per form; titles and form-specific box captions weigh most
+const FORM_KEYWORDS: Record<string, [RegExp, number][]> = {
+  "10-k": [[/form\s*10-?k\b/i, 6], [/annual report pursuant to section 13/i, 5], [/fiscal year ended/i, 2], [/item\s*1a\.?\s*risk factors/i, 2], [/item\s*7\.?\s*management'?s discussion/i, 2]],
+  "10-q": [[/form\s*10-?q\b/i, 6], [/quarterly report pursuant to section 13/i, 5], [/quarterly period ended/i, 3], [/part\s*i+\s*[-—–]?\s*financial information/i, 1]],
+  "1040": [[/form\s*1040\b/i, 6], [/u\.?s\.?\s*individual income tax return/i, 5], [/filing status/i, 2], [/adjusted gross income/i, 2], [/married filing jointly/i, 1], [/standard deduction/i, 1]],
+  "1099": [[/form\s*1099(-[a-z]+)?\b/i, 6], [/payer'?s\s*(name|tin)/i, 3], [/recipient'?s\s*(name|tin)/i, 3], [/nonemployee compensation|miscellaneous (income|information)/i, 2]],
+  w2: [[/form\s*w-?2\b/i, 6], [/wage and tax statement/i, 5], [/employer identification number/i, 2], [/wages,?\s*tips,?\s*other comp/i, 3], [/social security wages/i, 2]],
+};
+
+function classifyByKeywords(text: string): FormClassification | null {
+  const scores: Record<string, number> = {};
+  for (const [form, cues] of Object.entries(FORM_KEYWORDS)) {
+    scores[form] = cues.reduce((sum, [re, w]) => sum + (re.test(text) ? w : 0), 0);
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  if (!bestScore) return null;
+  const total = ranked.reduce((sum, [, v]) => sum + v, 0);
+  // Share of the evidence, discounted when there is little of it
+  const confidence = Math.round((bestScore / total) * Math.min(1, bestScore / 8) * 100) / 100;
+  return { form: best, confidence, scores };
+}
+
+const keywordClassifier: FormClassifier = {
+  name: "keywords",
+  classify: async ({ text }) => classifyByKeywords(await text()),
+};
+
+async function docText(doc: any, maxPages = CLASSIFY_MAX_PAGES) {
+  const parts: string[] = [];
+  for (let p = 1; p <= Math.min(maxPages, doc.numPages); p++) {
+    const page = await doc.getPage(p);
+    const content = await page.getTextContent();
+    parts.push(content.items.map((it: any) => it.str || "").join(" "));
+  }
+  return parts.join("\n");
+}
+
+async function pdfText(pdf: Blob, maxPages = CLASSIFY_MAX_PAGES) {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(await pdf.arrayBuffer()) }).promise;
+  try {
+    return await docText(doc, maxPages);
+  } finally {
+    doc.destroy();
+  }
+}
+
+// ---------- prompt templates ----------
+// Prompts may contain {{variable}} placeholders filled from the run context just before a run.
+// Providers receive the rendered prompts; the raw templates travel along as `promptTemplates`.
+// `textChars` (all pages) also sizes the run for the model registry
+type DocumentFacts = { pageCount: number; fiscalYear: string | null; textChars: number };
+type TemplateContext = { form: string; formLabel: string; fieldNames: string[]; pageCount: number | null; fiscalYear: string | null };
+
+const TEMPLATE_VARS: Record<string, { hint: string; value: (ctx: TemplateContext) => string | null }> = {
+  form: { hint: "form name, e.g. Form W-2", value: (ctx) => ctx.formLabel || ctx.form },
+  fieldNames: { hint: "comma-separated field names from the schema", value: (ctx) => (ctx.fieldNames.length ? ctx.fieldNames.join(", ") : null) },
+  pageCount: { hint: "pages in the uploaded PDF", value: (ctx) => (ctx.pageCount ? String(ctx.pageCount) : null) },
+  fiscalYear: { hint: "fiscal/tax year found in the PDF or entered", value: (ctx) => ctx.fiscalYear },
+};
+const TEMPLATE_RE = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+const isTemplate = (t: string) => t.includes("{{") || t.includes("}}");
+
+// Unknown names, stray braces and variables the context can't fill
+function checkTemplate(t: string, ctx: TemplateContext) {
+  const errors: string[] = [];
+  const rest = t.replace(TEMPLATE_RE, "");
+  if (rest.includes("{{") || rest.includes("}}")) errors.push("Unbalanced {{ }}");
+  for (const [, name] of t.matchAll(TEMPLATE_RE)) {
+    const v = TEMPLATE_VARS[name];
+    if (!v) errors.push(`Unknown variable {{${name}}}`);
+    else if (v.value(ctx) == null) errors.push(`No value for {{${name}}} (${v.hint})`);
+  }
+  return Array.from(new Set(errors));
+}
+
+function renderTemplate(t: string, ctx: TemplateContext) {
+  return t.replace(TEMPLATE_RE, (m, name) => TEMPLATE_VARS[name]?.value(ctx) ?? m);
+}
+
+// "Fiscal year ended December 31, 2023", "Tax year 2023", "FY2023"; otherwise the most frequent year
+function detectFiscalYear(text: string) {
+  const cues = [
+    /fiscal\s+year\s+ended\s+(?:[a-z]+\.?\s+\d{1,2},?\s+)?((?:19|20)\d{2})/i,
+    /quarterly\s+period\s+ended\s+(?:[a-z]+\.?\s+\d{1,2},?\s+)?((?:19|20)\d{2})/i,
+    /\b(?:tax|calendar)\s+year\s+((?:19|20)\d{2})\b/i,
+    /\bFY\s?((?:19|20)\d{2})\b/i,
+  ];
+  for (const re of cues) {
+    const m = text.match(re);
+    if (m) return m[1];
+  }
+  const counts = new Map<string, number>();
+  for (const [y] of text.matchAll(/\b(?:19|20)\d{2}\b/g)) counts.set(y, (counts.get(y) || 0) + 1);
+  return Array.from(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+async function documentFacts(pdf: Blob): Promise<DocumentFacts> {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(await pdf.arrayBuffer()) }).promise;
+  try {
+    let textChars = 0;
+    for (let p = 1; p <= doc.numPages; p++) {
+      const content = await (await doc.getPage(p)).getTextContent();
+      textChars += content.items.reduce((n: number, it: any) => n + (it.str || "").length, 0);
+    }
+    return { pageCount: doc.numPages, fiscalYear: detectFiscalYear(await docText(doc)), textChars };
+  } finally {
+    doc.destroy();
+  }
+}
+
+// ---------- model registry ----------
+// Models the playground offers, with what they accept and what they cost. Loaded at startup from the
+// `models` prop (a list, or the URL of a JSON file / endpoint); the built-in list is the fallback.
+type Modality = "text" | "image" | "pdf";
+type ModelInfo = {
+  id: string;
+  label?: string;
+  contextWindow?: number; // tokens
+  modalities?: Modality[];
+  price?: { input: number; output: number }; // USD per 1M tokens
+};
+
+// List prices at the time of writing; deployments should serve their own registry
+const DEFAULT_MODEL_REGISTRY: ModelInfo[] = [
+  { id: "gpt-4o-mini", contextWindow: 128000, modalities: ["text", "image"], price: { input: 0.15, output: 0.6 } },
+  { id: "claude-3-5-sonnet", contextWindow: 200000, modalities: ["text", "image", "pdf"], price: { input: 3, output: 15 } },
+  { id: "llama-3.1-70b-instruct", contextWindow: 128000, modalities: ["text"], price: { input: 0.88, output: 0.88 } },
+];
+
+// Accepts { models: [...] }, a bare array, or the backend's /api/config ({ allowed_models: ["id", ...] })
+function modelRegistryFromJson(raw: any): ModelInfo[] {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.models) ? raw.models : Array.isArray(raw?.allowed_models) ? raw.allowed_models : null;
+  if (!list) throw new Error("Not a model registry.");
+  const models = list.map((m: any) => {
+    if (typeof m === "string") return { id: m };
+    if (!m?.id) throw new Error("Every model needs an id.");
+    const num = (v: any) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined);
+    return {
+      id: String(m.id),
+      label: m.label ? String(m.label) : undefined,
+      contextWindow: num(m.contextWindow ?? m.context_window),
+      modalities: Array.isArray(m.modalities) ? m.modalities.filter((x: any) => x === "text" || x === "image" || x === "pdf") : undefined,
+      price: m.price && num(m.price.input) != null && num(m.price.output) != null ? { input: Number(m.price.input), output: Number(m.price.output) } : undefined,
+    };
+  });
+  if (!models.length) throw new Error("The model registry is empty.");
+  return models;
+}
+
+// Rough sizing: ~4 characters per token; pages with almost no text are scans and go in as images
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS_PER_PAGE = 1500;
+const SCANNED_CHARS_PER_PAGE = 100;
+const OUTPUT_TOKENS_PER_FIELD = 60;
+
+type RunEstimate = { inputTokens: number; outputTokens: number; needsImages: boolean };
+
+function estimateRun(facts: DocumentFacts | null, prompts: string[], system: string, fieldCount: number): RunEstimate {
+  const needsImages = !!facts && facts.pageCount > 0 && facts.textChars / facts.pageCount < SCANNED_CHARS_PER_PAGE;
+  const docTokens = !facts ? 0 : needsImages ? facts.pageCount * IMAGE_TOKENS_PER_PAGE : Math.ceil(facts.textChars / CHARS_PER_TOKEN);
+  const promptTokens = Math.ceil((prompts.join("\n").length + system.length) / CHARS_PER_TOKEN);
+  return { inputTokens: docTokens + promptTokens, outputTokens: Math.max(1, fieldCount) * OUTPUT_TOKENS_PER_FIELD, needsImages };
+}
+
+function formatTokens(n: number) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+// Why the model can't take this run, or null; models without metadata are not blocked
+function modelFit(model: ModelInfo | undefined, est: RunEstimate) {
+  if (!model) return null;
+  if (est.needsImages && model.modalities && !model.modalities.some((m) => m === "image" || m === "pdf")) return "scanned pages need image input";
+  const total = est.inputTokens + est.outputTokens;
+  if (model.contextWindow && total > model.contextWindow) return `needs ~${formatTokens(total)} tokens, context is ${formatTokens(model.contextWindow)}`;
+  return null;
+}
+
+function runCost(model: ModelInfo | undefined, est: RunEstimate) {
+  return model?.price ? (est.inputTokens * model.price.input + est.outputTokens * model.price.output) / 1e6 : null;
+}
+
+function modelOptionLabel(m: ModelInfo) {
+  const parts = [m.label || m.id];
+  if (m.contextWindow) parts.push(`${formatTokens(m.contextWindow)} ctx`);
+  if (m.price) parts.push(`$${m.price.input}/$${m.price.output} per 1M`);
+  return parts.join(" · ");
+}
+
+// ---------- mixed-prompt policy ----------
+// Which model/system text a run uses when library and custom prompts are selected together.
+// "per-prompt" lets every prompt carry its own; prompts that share a config go out in one request.
+const MIX_POLICIES: { value: MixPolicy; label: string; hint: string }[] = [
+  { value: "form-defaults", label: "Form defaults", hint: "Every prompt runs with the form's default model and system text" },
+  { value: "custom-override", label: "Custom override", hint: "Every prompt runs with the custom model and system text" },
+  { value: "per-prompt", label: "Per prompt", hint: "Each prompt runs with its own model and system text; one request per distinct config" },
+];
+
+type PromptGroup = { config?: RunConfig; templates: string[] };
+// A group ready to send: `prompts` are the rendered templates
+type RunGroup = PromptGroup & { prompts: string[] };
+
+// Groups keep the order in which their first prompt was selected
+function groupPrompts(templates: string[], configFor: (t: string) => RunConfig): PromptGroup[] {
+  const groups = new Map<string, PromptGroup>();
+  for (const t of templates) {
+    const config = configFor(t);
+    const key = JSON.stringify([config.model, config.system]);
+    const g = groups.get(key);
+    if (g) g.templates.push(t);
+    else groups.set(key, { config, templates: [t] });
+  }
+  return Array.from(groups.values());
+}
+
+// Model id, numbered when two groups use the same model with different system text
+function groupLabel(groups: { config?: { model?: string } }[], i: number) {
+  const model = groups[i].config?.model;
+  const label = model || "default model";
+  return groups.filter((g) => g.config?.model === model).length > 1 ? `${label} #${i + 1}` : label;
+}
+
+// One request per group, sharing everything but prompts and config
+function groupRequests(args: Omit<ExtractRequest, "prompts" | "config" | "promptTemplates">, groups: RunGroup[]): ExtractRequest[] {
+  return groups.map((g) => ({
+    ...args,
+    prompts: g.prompts,
+    config: g.config,
+    promptTemplates: g.templates.some(isTemplate) ? g.templates : undefined,
+  }));
+}
+
+// Maps a field of request `i`'s payload to the merged result: ids stay unique (deterministically,
+// so a run record merges to the same fields) and with several requests `source` gets the request's label
+function fieldMerger(requests: ExtractRequest[]) {
+  const seen = new Set<string>();
+  return (f: any, i: number) => {
+    const base = f.id || `field_${seen.size + 1}`;
+    let id = seen.has(base) ? `${base}_${i + 1}` : base;
+    for (let k = 2; seen.has(id); k++) id = `${base}_${i + 1}_${k}`;
+    seen.add(id);
+    if (requests.length < 2) return { ...f, id };
+    const tag = groupLabel(requests, i);
+    return { ...f, id, source: f.source ? `${tag}: ${f.source}` : tag };
+  };
+}
+
+// Sends the requests (sequentially when streaming, in parallel otherwise). With several requests the
+// fields are merged in order, ids are kept unique and `source` is prefixed with the request's label.
+// Raw payloads land in `responses` as they arrive, so a failed run still shows what came back.
+async function extractGrouped(
+  provider: ExtractionProvider,
+  requests: ExtractRequest[],
+  { pdfBlob, signal, onField, responses = [] }: { pdfBlob?: Blob | null; signal?: AbortSignal; onField?: (field: any) => void; responses?: ExtractPayload[] }
+) {
+  const merge = fieldMerger(requests);
+  const fields: any[] = [];
+  if (onField && provider.stream) {
+    for (let i = 0; i < requests.length && !signal?.aborted; i++) {
+      const raw: any[] = [];
+      responses[i] = { fields: raw };
+      await provider.stream({ ...requests[i], pdfBlob, signal }, {
+        signal,
+        onField: (f) => {
+          raw.push(f);
+          const field = merge(f, i);
+          fields.push(field);
+          onField(field);
+        },
+      });
+    }
+    return fields;
+  }
+  const payloads = await Promise.all(
+    requests.map(async (r, i) => {
+      const payload = await provider.extract({ ...r, pdfBlob, signal });
+      responses[i] = payload;
+      return payload;
+    })
+  );
+  payloads.forEach((p, i) => p.fields.forEach((f: any) => fields.push(merge(f, i))));
+  return fields;
+}
+
 // ---------- small utils ----------
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
 }
-function toXML(fields: any[]) {
-  const esc = (s: string) =>
-    s
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/\"/g, "&quot;")
-      .replace(/\'/g, "&apos;");
-  const rows = fields
-    .map((f) => `  <field id="${esc(f.id)}" label="${esc(f.label)}">${esc(f.value)}</field>`) 
-    .join("\n");
-  return `<extraction>\n${rows}\n</extraction>`;
+// ---------- PDF redaction ----------
+// A shareable copy of the document with regions burned out. Every page is rasterized with pdf.js,
+// boxes are painted onto the pixels and only those images go into the new PDF, so the original's
+// text, fonts, metadata and hidden content never reach the output.
+type RedactionRegion = { key: string; page: number; bbox: number[]; label: string; kind?: PiiKind; origin: "field" | "text" };
+
+const REDACT_SCALE = 2; // ~144 dpi
+const REDACT_PAD = 0.003; // normalized margin so anti-aliased glyph edges are covered too
+
+function fieldRedactions(fields: any[], pii: Map<string, PiiMatch>): RedactionRegion[] {
+  return fields.flatMap((f) =>
+    coordRegions(f.coord).map((r, i) => ({ key: `field:${f.id}:${i}`, page: r.page, bbox: r.bbox, label: f.label, kind: pii.get(f.id)?.kind, origin: "field" as const }))
+  );
+}
+
+// PII in the PDF's own text, whether or not a field covers it: formatted numbers on their own,
+// and bare digit runs right after a label cue ("Account number 12345678")
+async function textRedactions(doc: any): Promise<RedactionRegion[]> {
+  const out: RedactionRegion[] = [];
+  for (let p = 1; p <= doc.numPages; p++) {
+    const words = await extractPageWords(await doc.getPage(p));
+    words.forEach((w, i) => {
+      const token = w.text.replace(/^\D+|\D+$/g, "");
+      if (!/^\d[\d-]{4,}\d$/.test(token)) return;
+      const before = words.slice(Math.max(0, i - 3), i).map((x) => x.text).join(" ");
+      const hit =
+        PII_DETECTORS.find((d) => [...token.matchAll(d.value)].some((m) => m[0] === token) && (!d.valid || d.valid(token))) ||
+        PII_DETECTORS.find((d) => d.label.test(before));
+      if (hit) out.push({ key: `text:${p}:${i}`, page: p, bbox: w.bbox, label: maskDigits(token), kind: hit.kind, origin: "text" });
+    });
+  }
+  return out;
+}
+
+// The last redacted copy of each PDF and the regions it was burned with. The autosave masks every save,
+// so the pages are only re-rasterized when the regions change.
+const redactedPdfs = new WeakMap<Blob, { key: string; data: Blob }>();
+
+// A session that is safe to hand out: PII masked in the fields and edit log, and the PDF swapped for a
+// flattened copy with the PII field boxes and in-text PII burned out
+async function maskSession(session: ReviewSession, pii: Map<string, PiiMatch>): Promise<ReviewSession> {
+  const fields = session.result?.fields || [];
+  const edits = (session.edits || []).map((e) => {
+    const m = pii.get(e.fieldId);
+    return m && e.kind === "value" ? { ...e, before: maskPiiText(e.before, m), after: maskPiiText(e.after, m) } : e;
+  });
+  let pdf = session.pdf;
+  if (pdf) {
+    const url = URL.createObjectURL(pdf.data);
+    try {
+      const doc = await pdfjsLib.getDocument(url).promise;
+      let fromText: RedactionRegion[];
+      try {
+        fromText = await textRedactions(doc);
+      } finally {
+        doc.destroy();
+      }
+      const regions = [...fieldRedactions(fields, pii).filter((r) => r.kind), ...fromText];
+      const key = JSON.stringify(regions.map((r) => [r.page, r.bbox]));
+      let redacted = redactedPdfs.get(pdf.data);
+      if (redacted?.key !== key) {
+        redacted = { key, data: await redactPdf(url, regions) };
+        redactedPdfs.set(pdf.data, redacted);
+      }
+      pdf = { ...pdf, data: redacted.data };
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+  return { ...session, pdf, result: session.result && { fields: maskFields(fields, pii) }, edits };
+}
+
+async function redactPdf(url: string, regions: { page: number; bbox: number[] }[], onProgress?: (done: number, total: number) => void) {
+  const doc = await pdfjsLib.getDocument(url).promise;
+  try {
+    const out = await PDFDocument.create();
+    for (let p = 1; p <= doc.numPages; p++) {
+      const page = await doc.getPage(p);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: REDACT_SCALE });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      const ctx = canvas.getContext("2d")!;
+      await page.render({ canvasContext: ctx as any, viewport }).promise;
+      ctx.fillStyle = "#000";
+      for (const r of regions) {
+        if (r.page !== p) continue;
+        const [x, y, w, h] = r.bbox;
+        ctx.fillRect((x - REDACT_PAD) * canvas.width, (y - REDACT_PAD) * canvas.height, (w + 2 * REDACT_PAD) * canvas.width, (h + 2 * REDACT_PAD) * canvas.height);
+      }
+      const jpg = await new Promise<Blob>((resolve, reject) =>
+        canvas.toBlob((b) => (b ? resolve(b) : reject(new Error(`Could not encode page ${p}`))), "image/jpeg", 0.92)
+      );
+      canvas.width = 0;
+      canvas.height = 0;
+      page.cleanup();
+      const img = await out.embedJpg(await jpg.arrayBuffer());
+      out.addPage([base.width, base.height]).drawImage(img, { x: 0, y: 0, width: base.width, height: base.height });
+      onProgress?.(p, doc.numPages);
+    }
+    return new Blob([await out.save()], { type: "application/pdf" });
+  } finally {
+    doc.destroy();
+  }
+}
+
+// ---------- spreadsheet export ----------
+// One row per field. Multi-region fields use the same `;`-separated page/bbox encoding as toXML.
+function fieldRows(fields: any[]) {
+  const header = ["id", "field", "value", "original_value", "type", "normalized", "error", "confidence", "source", "page", "bbox"];
+  const rows = fields.map((f) => {
+    const regions = coordRegions(f.coord);
+    return [
+      f.id,
+      f.label,
+      f.value ?? "",
+      f.originalValue ?? "",
+      f.type ?? "",
+      f.normalized ?? "",
+      f.error ?? "",
+      typeof f.confidence === "number" ? f.confidence : "",
+      f.source ?? "",
+      regions.map((r) => r.page).join(";"),
+      regions.map((r) => r.bbox.join(" ")).join(";"),
+    ];
+  });
+  return [header, ...rows];
+}
+
+function changeRows(changes: FieldChange[]) {
+  const header = ["at", "id", "field", "kind", "before", "after"];
+  const rows = changes
+    .flatMap((c) => c.edits)
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .map((e) => [e.at, e.fieldId, e.label, e.kind, describeChange(e.kind, e.before), describeChange(e.kind, e.after)]);
+  return [header, ...rows];
+}
+
+function metaRows(meta: RunMeta | null, fieldCount: number) {
+  if (!meta) return [["key", "value"], ["fields", fieldCount]];
+  return [
+    ["key", "value"],
+    ["form", meta.formLabel ? `${meta.formLabel} (${meta.form})` : meta.form],
+    ["prompts", meta.prompts.join("\n")],
+    ["model", meta.model ?? ""],
+    ["system", meta.system ?? ""],
+    ["prompt set", meta.promptSetName ? `${meta.promptSetName}${meta.promptSetVersion ? ` v${meta.promptSetVersion}` : ""}` : ""],
+    ["mix policy", meta.mixPolicy ?? ""],
+    ["config groups", (meta.configGroups || []).map((g) => `${g.label}${g.system ? ` (${g.system})` : ""}: ${g.prompts.join(" | ")}`).join("\n")],
+    ["provider", meta.provider ?? ""],
+    ["document", meta.document ?? ""],
+    ["timestamp", meta.timestamp],
+    ["fields", fieldCount],
+  ];
+}
+
+function toCSV(rows: any[][]) {
+  const cell = (v: any) => {
+    let s = String(v ?? "");
+    // Text that spreadsheet apps would evaluate as a formula is kept literal; numbers pass through
+    if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(cell).join(",")).join("\r\n");
+}
+
+function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportSpreadsheet(kind: "csv" | "xlsx", fields: any[], meta: RunMeta | null, changes: FieldChange[] = []) {
+  const stamp = (meta?.timestamp || new Date().toISOString()).replace(/[:.]/g, "-");
+  const base = `extraction_${meta?.form || "result"}_${stamp}`;
+  if (kind === "csv") {
+    // BOM so Excel opens UTF-8 correctly
+    downloadBlob(new Blob(["\ufeff" + toCSV(fieldRows(fields))], { type: "text/csv;charset=utf-8" }), `${base}.csv`);
+    return;
+  }
+  const wb = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet(fieldRows(fields));
+  sheet["!cols"] = [{ wch: 18 }, { wch: 24 }, { wch: 40 }, { wch: 40 }, { wch: 10 }, { wch: 20 }, { wch: 24 }, { wch: 10 }, { wch: 24 }, { wch: 8 }, { wch: 32 }];
+  XLSX.utils.book_append_sheet(wb, sheet, "Fields");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(metaRows(meta, fields.length)), "Run metadata");
+  if (changes.length) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(changeRows(changes)), "Changes");
+  XLSX.writeFile(wb, `${base}.xlsx`, { compression: true });
+}
+
+// ---------- result import ----------
+// Imports extraction results from CSV, XML (including our own toXML output) or any JSON shape.
+// Records are flattened to key/value rows; the user maps keys onto label/value/page/bbox.
+type ImportFormat = "json" | "csv" | "xml";
+type ImportMapping = {
+  label: string;
+  value: string;
+  page: string;
+  bbox: string;
+  confidence: string;
+  source: string;
+  bboxUnits: "normalized" | "absolute";
+  bboxFormat: "xywh" | "corners"; // [x, y, w, h] or [x0, y0, x1, y1]
+  origin: "top" | "bottom"; // PDF user space measures y from the bottom edge
+};
+type ImportRejection = { row: number; reason: string };
+type PageSize = { width: number; height: number };
+
+function parseCSV(text: string) {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\ufeff/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+// Nested objects become dotted keys. Arrays, and objects that already look like a coord
+// (`{ page, bbox }`), are kept whole so they can be mapped as one value.
+function flattenRecord(obj: any, prefix = "", out: Record<string, any> = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v) && !("bbox" in (v as any))) flattenRecord(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+// The first array of objects found breadth-first (e.g. `items`, `fields`, `data.results`)
+function findRecordArray(data: any): any[] | null {
+  const queue = [data];
+  while (queue.length) {
+    const cur = queue.shift();
+    if (Array.isArray(cur)) {
+      if (cur.some((x) => x && typeof x === "object" && !Array.isArray(x))) return cur;
+      continue;
+    }
+    if (cur && typeof cur === "object") queue.push(...Object.values(cur));
+  }
+  return null;
+}
+
+function xmlRecords(text: string) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("The XML is not well-formed.");
+  // Descend through single wrapper elements (<results><items>…</items></results>)
+  let parent: Element = doc.documentElement;
+  while (parent.children.length === 1 && parent.children[0].children.length > 0) parent = parent.children[0];
+  return Array.from(parent.children).map((el) => {
+    const rec: Record<string, any> = { element: el.localName };
+    for (const a of Array.from(el.attributes)) {
+      if (a.prefix !== "xmlns" && a.name !== "xmlns" && a.namespaceURI !== XSI_NS) rec[a.localName] = a.value;
+    }
+    if (el.children.length) for (const c of Array.from(el.children)) rec[c.localName] = c.textContent ?? "";
+    else rec.value = el.textContent ?? "";
+    return rec;
+  });
+}
+
+function parseImportText(fileName: string, text: string): { format: ImportFormat; records: Record<string, any>[] } {
+  const ext = (fileName.split(".").pop() || "").toLowerCase();
+  const head = text.replace(/^\ufeff/, "").trimStart();
+  if (ext === "xml" || head.startsWith("<")) return { format: "xml", records: xmlRecords(text) };
+  if (ext === "json" || head.startsWith("{") || head.startsWith("[")) {
+    let data: any;
+    try {
+      data = JSON.parse(head);
+    } catch {
+      throw new Error("The JSON could not be parsed.");
+    }
+    const list = findRecordArray(data);
+    if (!list) throw new Error("No list of records found in the JSON.");
+    return { format: "json", records: list.filter((x) => x && typeof x === "object").map((x) => flattenRecord(x)) };
+  }
+  const [header, ...rows] = parseCSV(text);
+  if (!header || !rows.length) throw new Error("The CSV has no data rows.");
+  const keys = header.map((h, i) => h.trim() || `column_${i + 1}`);
+  return { format: "csv", records: rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""]))) };
+}
+
+function importKeys(records: Record<string, any>[]) {
+  const keys = new Set<string>();
+  for (const r of records.slice(0, 200)) for (const k of Object.keys(r)) keys.add(k);
+  return Array.from(keys);
+}
+
+function guessMapping(keys: string[]): ImportMapping {
+  const pick = (...names: string[]) => names.find((n) => keys.includes(n)) || keys.find((k) => names.includes(k.toLowerCase())) || "";
+  const bbox = pick("bbox_norm", "coord", "bbox", "box", "bbox_abs", "bounding_box");
+  return {
+    label: pick("label", "field", "name", "key", "element"),
+    value: pick("value", "snippet", "text", "content"),
+    page: bbox === "coord" ? "" : pick("page", "page_number", "pageNumber", "page_no"),
+    bbox,
+    confidence: pick("confidence", "score"),
+    source: pick("source", "category", "prompt"),
+    bboxUnits: bbox === "bbox_abs" ? "absolute" : "normalized",
+    bboxFormat: bbox === "bbox_abs" ? "corners" : "xywh",
+    origin: "top",
+  };
+}
+
+// One or more boxes from an array, nested arrays, `{ x, y, w, h }`-like objects, or
+// "x y w h;x y w h" strings (our CSV/XML encoding)
+function parseBoxes(v: any): number[][] | null {
+  if (v == null || v === "") return null;
+  if (typeof v === "string") {
+    const t = v.trim();
+    if (t.startsWith("[")) {
+      try {
+        return parseBoxes(JSON.parse(t));
+      } catch {
+        return null;
+      }
+    }
+    const boxes = t.split(";").map((part) => part.trim().split(/[\s,]+/).map(Number));
+    return boxes.every((b) => b.length === 4 && b.every(Number.isFinite)) ? boxes : null;
+  }
+  if (Array.isArray(v)) {
+    if (v.length === 4 && v.every((n) => typeof n === "number" || (typeof n === "string" && n.trim() !== ""))) {
+      const b = v.map(Number);
+      return b.every(Number.isFinite) ? [b] : null;
+    }
+    const boxes = v.map(parseBoxes);
+    return boxes.length && boxes.every(Boolean) ? (boxes as number[][][]).flat() : null;
+  }
+  if (typeof v === "object") {
+    const x = v.x ?? v.left ?? v.x0;
+    const y = v.y ?? v.top ?? v.y0;
+    const w = v.w ?? v.width ?? (v.x1 != null && x != null ? v.x1 - x : undefined);
+    const h = v.h ?? v.height ?? (v.y1 != null && y != null ? v.y1 - y : undefined);
+    const b = [x, y, w, h].map(Number);
+    return b.every(Number.isFinite) ? [b] : null;
+  }
+  return null;
+}
+
+function parsePageList(v: any): number[] {
+  if (v == null || v === "") return [];
+  const list = Array.isArray(v) ? v : String(v).split(/[;,\s]+/);
+  return list.map(Number).filter((n) => Number.isInteger(n) && n > 0);
+}
+
+function mapImportRecords(
+  records: Record<string, any>[],
+  m: ImportMapping,
+  { pageCount, pageSize }: { pageCount?: number; pageSize: (page: number) => PageSize | null }
+) {
+  const fields: any[] = [];
+  const rejected: ImportRejection[] = [];
+  const byRow = new Map<number, any>();
+  const ids = new Set<string>();
+  records.forEach((rec, i) => {
+    const row = i + 1;
+    const reject = (reason: string) => rejected.push({ row, reason });
+    const label = String(rec[m.label] ?? "").trim();
+    if (!label) return reject(`Empty ${m.label || "label"}`);
+    const rawValue = m.value ? rec[m.value] : "";
+    const value = rawValue != null && typeof rawValue === "object" ? JSON.stringify(rawValue) : String(rawValue ?? "");
+
+    let coord: any = null;
+    if (m.bbox) {
+      const raw = rec[m.bbox];
+      // A whole coord ({ page, bbox } or a list of them) is already normalized
+      const regions =
+        raw && typeof raw === "object" && (Array.isArray(raw) ? raw.some((r) => r && r.bbox) : "bbox" in raw) ? coordRegions(raw) : null;
+      let list: { page: number; bbox: number[] }[] = [];
+      if (regions) list = regions;
+      else {
+        const boxes = parseBoxes(raw);
+        if (!boxes) return reject(raw == null || raw === "" ? `Missing ${m.bbox}` : `${m.bbox} is not a box of 4 numbers`);
+        const pages = parsePageList(m.page ? rec[m.page] : undefined);
+        if (!pages.length) return reject(m.page ? `Missing or invalid ${m.page}` : "No page column mapped");
+        if (pages.length !== 1 && pages.length !== boxes.length) return reject(`${pages.length} pages for ${boxes.length} boxes`);
+        for (let b = 0; b < boxes.length; b++) {
+          const page = pages[pages.length === 1 ? 0 : b];
+          let [x, y, w, h] = boxes[b];
+          if (m.bboxFormat === "corners") {
+            w = w - x;
+            h = h - y;
+          }
+          let scaleW = 1;
+          let scaleH = 1;
+          if (m.bboxUnits === "absolute") {
+            const size = pageSize(page);
+            if (!size) return reject(`No page size for page ${page}`);
+            scaleW = size.width;
+            scaleH = size.height;
+          }
+          if (m.origin === "bottom") y = scaleH - y - h;
+          list.push({ page, bbox: [x / scaleW, y / scaleH, w / scaleW, h / scaleH] });
+        }
+      }
+      for (const r of list) {
+        if (pageCount && r.page > pageCount) return reject(`Page ${r.page} is outside the document (${pageCount} pages)`);
+        const [x, y, w, h] = r.bbox;
+        const eps = 0.01;
+        if (!(w > 0 && h > 0) || x < -eps || y < -eps || x + w > 1 + eps || y + h > 1 + eps) {
+          return reject(m.bboxUnits === "normalized" ? "Box falls outside the page; are the units absolute?" : "Box falls outside the page");
+        }
+        r.bbox = [clamp01(x), clamp01(y), Math.min(w, 1 - clamp01(x)), Math.min(h, 1 - clamp01(y))];
+      }
+      coord = list.length === 1 ? list[0] : list;
+    }
+
+    let confidence: number | undefined = m.confidence ? Number(rec[m.confidence]) : undefined;
+    if (confidence != null && (!Number.isFinite(confidence) || rec[m.confidence] === "")) confidence = undefined;
+    if (confidence != null && confidence > 1 && confidence <= 100) confidence = confidence / 100;
+
+    const ownId = typeof rec.id === "string" && rec.id && !ids.has(rec.id) ? rec.id : null;
+    const id = ownId || uid("field");
+    ids.add(id);
+    const field = {
+      id,
+      label,
+      value,
+      coord,
+      confidence,
+      source: m.source && rec[m.source] != null && rec[m.source] !== "" ? String(rec[m.source]) : undefined,
+    };
+    fields.push(field);
+    byRow.set(row, field);
+  });
+  return { fields, rejected, byRow };
+}
+
+// ---------- run history & comparison ----------
+// Finished runs (from the run log) can be compared field by field. Only runs on the open document
+// (same PDF and form) are offered, so both boxes belong on the pages shown.
+type RunSnapshot = { id: string; n: number; meta: RunMeta; fields: any[] };
+type AlignedField = {
+  key: string;
+  label: string;
+  a?: any;
+  b?: any;
+  status: "same" | "changed" | "only-a" | "only-b";
+  coordDiffers: boolean;
+};
+const COORD_TOLERANCE = 0.005;
+
+// The PDF's hash (name and size where Web Crypto is unavailable); "" for runs without a PDF
+async function documentKey(pdf: File | null) {
+  if (!pdf) return "";
+  return (await pdfHash(pdf)) || `${pdf.name}:${pdf.size}`;
+}
+function recordDocumentKey(record: RunRecord) {
+  return record.pdf ? record.pdf.sha256 || `${record.pdf.name}:${record.pdf.size}` : "";
+}
+
+// Schema the record's fields were validated against
+function recordSchema(r: RunRecord): FieldDef[] {
+  return r.requests[0]?.schema || FORMS.find((f) => f.value === r.meta.form)?.schema || [];
+}
+
+// A finished run as the review view showed it: the logged responses merged like extractGrouped does
+function recordSnapshot(record: RunRecord): RunSnapshot {
+  const merge = fieldMerger(record.requests);
+  const fields = record.responses.flatMap((p, i) => (p?.fields || []).map((f: any) => merge(f, i)));
+  return { id: record.id, n: record.n, meta: record.meta, fields };
+}
+
+function runLabel(run: RunSnapshot) {
+  const m = run.meta;
+  return `#${run.n} · ${new Date(m.timestamp).toLocaleTimeString()} · ${m.model || "default"} · ${m.prompts.length} prompt(s)`;
+}
+
+function coordsDiffer(a: any, b: any) {
+  const ra = coordRegions(a);
+  const rb = coordRegions(b);
+  if (ra.length !== rb.length) return true;
+  return ra.some((r, i) => r.page !== rb[i].page || r.bbox.some((v, j) => Math.abs(v - rb[i].bbox[j]) > COORD_TOLERANCE));
+}
+
+// Pairs fields by id first, then by label; leftovers are reported as only in one run
+function alignRuns(a: any[], b: any[]): AlignedField[] {
+  const used = new Set<any>();
+  const byId = new Map(b.map((f) => [f.id, f]));
+  const row = (fa: any, fb: any): AlignedField => {
+    const va = String(fa?.value ?? "").trim();
+    const vb = String(fb?.value ?? "").trim();
+    return {
+      key: `${fa?.id ?? ""}|${fb?.id ?? ""}`,
+      label: (fa || fb).label,
+      a: fa,
+      b: fb,
+      status: !fb ? "only-a" : !fa ? "only-b" : va === vb ? "same" : "changed",
+      coordDiffers: !!fa && !!fb && coordsDiffer(fa.coord, fb.coord),
+    };
+  };
+  const rows: AlignedField[] = [];
+  for (const fa of a) {
+    let fb = byId.get(fa.id);
+    if (fb && used.has(fb)) fb = undefined;
+    if (!fb) fb = b.find((x) => !used.has(x) && fieldKey(x.label) === fieldKey(fa.label));
+    if (fb) used.add(fb);
+    rows.push(row(fa, fb));
+  }
+  for (const fb of b) if (!used.has(fb)) rows.push(row(undefined, fb));
+  return rows;
+}
+
+// ---------- batch extraction ----------
+// Many PDFs, one form/prompt setup, run through a concurrency-limited queue.
+type BatchStatus = "queued" | "running" | "done" | "error" | "cancelled";
+type BatchDoc = {
+  id: string;
+  file: File;
+  status: BatchStatus;
+  fields?: any[];
+  schema?: FieldDef[];
+  meta?: RunMeta;
+  error?: string;
+  startedAt?: number;
+  finishedAt?: number;
+};
+const BATCH_STATUS_STYLE: Record<BatchStatus, string> = {
+  queued: "bg-neutral-100 text-neutral-600 border-neutral-200",
+  running: "bg-sky-50 text-sky-700 border-sky-200",
+  done: "bg-emerald-50 text-emerald-700 border-emerald-200",
+  error: "bg-red-50 text-red-700 border-red-200",
+  cancelled: "bg-amber-50 text-amber-700 border-amber-200",
+};
+
+// Runs `worker` over `items` with at most `limit` in flight; stops picking up new items once aborted.
+// The worker handles its own errors.
+async function runQueue<T>(items: T[], limit: number, worker: (item: T) => Promise<void>, signal?: AbortSignal) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length && !signal?.aborted) await worker(items[next++]);
+  });
+  await Promise.all(lanes);
+}
+
+// Schema type, normalized value and error per field (what the review view shows, without edits)
+function applySchema(fields: any[], schema: FieldDef[]) {
+  return fields.map((f) => {
+    const def = schemaFor(f, schema);
+    if (!def) return f;
+    const { value, error } = normalizeValue(def, f.value);
+    return { ...f, type: def.type, normalized: value, ...(error ? { error } : {}) };
+  });
+}
+
+// One fields table for every finished document (prefixed with the file name) plus a per-document status sheet
+function exportBatchSpreadsheet(kind: "csv" | "xlsx", docs: BatchDoc[], { unmasked = false } = {}) {
+  const done = docs.filter((d) => d.status === "done" && d.fields);
+  const [header] = fieldRows([]);
+  const rows = [["document", ...header]];
+  for (const d of done) {
+    const typed = applySchema(d.fields!, d.schema || []);
+    const fields = unmasked ? typed : maskFields(typed, piiMatches(d.fields!, d.schema || []));
+    for (const r of fieldRows(fields).slice(1)) rows.push([d.file.name, ...r]);
+  }
+  const base = `batch_${done[0]?.meta?.form || "extraction"}_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  if (kind === "csv") {
+    downloadBlob(new Blob(["\ufeff" + toCSV(rows)], { type: "text/csv;charset=utf-8" }), `${base}.csv`);
+    return;
+  }
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), "Fields");
+  const status = [
+    ["document", "status", "fields", "error", "started", "finished", "seconds"],
+    ...docs.map((d) => [
+      d.file.name,
+      d.status,
+      d.fields?.length ?? "",
+      d.error ?? "",
+      d.startedAt ? new Date(d.startedAt).toISOString() : "",
+      d.finishedAt ? new Date(d.finishedAt).toISOString() : "",
+      d.startedAt && d.finishedAt ? Math.round((d.finishedAt - d.startedAt) / 100) / 10 : "",
+    ]),
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(status), "Documents");
+  if (done[0]?.meta) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(metaRows(done[0].meta, rows.length - 1)), "Run metadata");
+  XLSX.writeFile(wb, `${base}.xlsx`, { compression: true });
+}
+
+// ---------- prompt sets ----------
+// Named custom-prompt configurations per form (prompts, model, system text, field hints). Saving
+// under an existing name adds a version; older versions stay loadable. Kept in the same IndexedDB
+// store as the autosave and shared as JSON files or from an endpoint.
+type PromptSetConfig = { prompts: string[]; model: string; system: string; fieldSchema: FieldDef[] };
+type PromptSetVersion = PromptSetConfig & { version: number; savedAt: string };
+type PromptSet = { id: string; name: string; form: string; versions: PromptSetVersion[] };
+
+const PROMPT_SETS_KEY = "prompt-sets";
+const PROMPT_SETS_FILE_KIND = "bank-docs-prompt-sets";
+
+const loadPromptSets = () => sessionDbRequest<PromptSet[] | undefined>("readonly", (s) => s.get(PROMPT_SETS_KEY));
+const savePromptSets = (sets: PromptSet[]) => sessionDbRequest<IDBValidKey>("readwrite", (s) => s.put(sets, PROMPT_SETS_KEY));
+
+const latestVersion = (set: PromptSet) => set.versions[set.versions.length - 1];
+
+function sameConfig(a: PromptSetConfig, b: PromptSetConfig) {
+  const key = (c: PromptSetConfig) => JSON.stringify([c.prompts, c.model, c.system, c.fieldSchema]);
+  return key(a) === key(b);
+}
+
+// Returns the updated list and the version the config ended up as; an unchanged config is not re-versioned
+function addPromptSetVersion(sets: PromptSet[], form: string, name: string, cfg: PromptSetConfig) {
+  const existing = sets.find((s) => s.form === form && s.name === name);
+  const same = existing?.versions.find((v) => sameConfig(v, cfg));
+  if (existing && same && same === latestVersion(existing)) return { sets, set: existing, version: same.version, added: false };
+  const set: PromptSet = existing || { id: uid("set"), name, form, versions: [] };
+  const version = (existing ? latestVersion(existing).version : 0) + 1;
+  const next = { ...set, versions: [...set.versions, { ...cfg, version, savedAt: new Date().toISOString() }] };
+  return { sets: existing ? sets.map((s) => (s === existing ? next : s)) : [...sets, next], set: next, version, added: true };
+}
+
+function promptSetsToFileText(sets: PromptSet[]) {
+  return JSON.stringify({ kind: PROMPT_SETS_FILE_KIND, version: 1, exportedAt: new Date().toISOString(), sets }, null, 2);
+}
+
+// Accepts an exported file, a bare array of sets or a single set; versions are checked and filled in
+function promptSetsFromJson(raw: any): PromptSet[] {
+  const list = raw?.kind === PROMPT_SETS_FILE_KIND ? raw.sets : Array.isArray(raw) ? raw : raw?.versions ? [raw] : null;
+  if (!Array.isArray(list)) throw new Error("Not a prompt set file.");
+  return list.map((s: any, i: number) => {
+    if (!s?.name || !s.form || !Array.isArray(s.versions) || !s.versions.length) throw new Error(`Prompt set #${i + 1} needs a name, a form and at least one version.`);
+    const versions = s.versions.map((v: any, j: number) => {
+      if (!Array.isArray(v?.prompts) || !v.prompts.length) throw new Error(`"${s.name}" version ${j + 1} has no prompts.`);
+      return {
+        version: Number(v.version) || j + 1,
+        savedAt: v.savedAt || new Date().toISOString(),
+        prompts: v.prompts.map(String),
+        model: v.model || DEFAULT_CONFIGS[s.form]?.model || "gpt-4o-mini",
+        system: v.system || "",
+        fieldSchema: Array.isArray(v.fieldSchema) ? v.fieldSchema.filter((d: any) => d?.name && FIELD_TYPES.includes(d.type)) : [],
+      };
+    });
+    return { id: String(s.id || uid("set")), name: String(s.name), form: String(s.form), versions: versions.sort((a: PromptSetVersion, b: PromptSetVersion) => a.version - b.version) };
+  });
+}
+
+// Incoming sets join local ones with the same id (or form + name); configs not seen locally become new versions
+function mergePromptSets(local: PromptSet[], incoming: PromptSet[]) {
+  let sets = local;
+  let added = 0;
+  for (const inc of incoming) {
+    const match = sets.find((s) => s.id === inc.id) || sets.find((s) => s.form === inc.form && s.name === inc.name);
+    if (!match) {
+      sets = [...sets, inc];
+      added += inc.versions.length;
+      continue;
+    }
+    let merged = match;
+    for (const v of inc.versions) {
+      if (merged.versions.some((x) => sameConfig(x, v))) continue;
+      merged = { ...merged, versions: [...merged.versions, { ...v, version: latestVersion(merged).version + 1 }] };
+      added++;
+    }
+    sets = sets.map((s) => (s === match ? merged : s));
+  }
+  return { sets, added };
+}
+
+// ---------- confidence helpers ----------
+// Fields carry an optional `confidence` (0..1) and `source` (the prompt that produced them).
+const DEFAULT_REVIEW_THRESHOLD = 0.8;
+function isLowConfidence(f: any, threshold: number) {
+  return typeof f.confidence === "number" && f.confidence < threshold;
+}
+function confidenceBand(c: number | undefined, threshold: number) {
+  if (typeof c !== "number") return "bg-neutral-200";
+  if (c < threshold) return "bg-red-400";
+  if (c < 0.9) return "bg-amber-400";
+  return "bg-emerald-400";
 }
 
 // ---------- UI bits ----------
-function FieldNamesEditor({ value, onChange }: { value: string[]; onChange: (v: string[]) => void }) {
+function FieldSchemaEditor({ value, onChange, formSchema }: { value: FieldDef[]; onChange: (v: FieldDef[]) => void; formSchema: FieldDef[] }) {
   const [draft, setDraft] = useState("");
   const add = useCallback(() => {
     const t = draft.trim();
-    if (!t) return;
-    onChange(Array.from(new Set([...value, t])));
+    if (!t || value.some((d) => d.name === t)) return;
+    onChange([...value, { name: t, type: "string" }]);
     setDraft("");
   }, [draft, value, onChange]);
-  const remove = useCallback((name: string) => onChange(value.filter((x) => x !== name)), [value, onChange]);
+  const patch = useCallback((i: number, p: Partial<FieldDef>) => onChange(value.map((d, j) => (j === i ? { ...d, ...p } : d))), [value, onChange]);
+  const remove = useCallback((i: number) => onChange(value.filter((_, j) => j !== i)), [value, onChange]);
   return (
     <div>
       <div className="flex gap-2">
         <input
           value={draft}
           onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && add()}
           placeholder="Add a field name (e.g., Company Name)"
           className="flex-1 rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
         />
         <button onClick={add} className="rounded-xl border border-neutral-300 px-3 py-2 text-sm hover:bg-neutral-50">
           Add
         </button>
+        <button
+          onClick={() => onChange(formSchema.map((d) => ({ ...d })))}
+          disabled={!formSchema.length}
+          className="rounded-xl border border-neutral-300 px-3 py-2 text-sm hover:bg-neutral-50 disabled:opacity-50"
+          title="Replace with the selected form's schema"
+        >
+          Use form schema
+        </button>
       </div>
       {value.length > 0 && (
-        <div className="flex flex-wrap gap-2 mt-2">
-          {value.map((n) => (
-            <span key={n} className="inline-flex items-center gap-1 rounded-full bg-neutral-100 border border-neutral-300 px-2 py-1 text-xs">
-              {n}
-              <button onClick={() => remove(n)} className="opacity-70 hover:opacity-100" title="Remove">
+        <div className="mt-2 divide-y divide-neutral-100 rounded-xl border border-neutral-200 bg-white">
+          {value.map((d, i) => (
+            <div key={d.name} className="grid grid-cols-[1fr,120px,90px,1.2fr,24px] items-center gap-2 px-3 py-1.5 text-sm">
+              <span className="truncate" title={d.name}>{d.name}</span>
+              <select
+                value={d.type}
+                onChange={(e) => patch(i, { type: e.target.value as FieldType })}
+                className="rounded-lg border border-neutral-300 bg-white px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+              >
+                {FIELD_TYPES.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </select>
+              <label className="inline-flex items-center gap-1.5 text-xs text-neutral-600">
+                <input type="checkbox" checked={!!d.required} onChange={(e) => patch(i, { required: e.target.checked })} />
+                Required
+              </label>
+              {d.type === "enum" ? (
+                <input
+                  value={(d.options || []).join(", ")}
+                  onChange={(e) => patch(i, { options: e.target.value.split(",").map((x) => x.trim()).filter(Boolean) })}
+                  placeholder="Options, comma-separated"
+                  className="rounded-lg border border-neutral-300 px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+                />
+              ) : (
+                <input
+                  value={d.pattern || ""}
+                  onChange={(e) => patch(i, { pattern: e.target.value || undefined })}
+                  placeholder="Pattern (regex, optional)"
+                  className="rounded-lg border border-neutral-300 px-2 py-1 text-xs font-mono outline-none focus:ring-2 focus:ring-neutral-900"
+                />
+              )}
+              <button onClick={() => remove(i)} className="opacity-70 hover:opacity-100" title="Remove">
                 <X size={12} />
               </button>
-            </span>
+            </div>
           ))}
         </div>
       )}
@@ -160,38 +1297,934 @@ function FieldNamesEditor({ value, onChange }: { value: string[]; onChange: (v:
   );
 }
 
-function ExtractionJsonUpload({ onData }: { onData: (items: any[]) => void }) {
-  function handleJsonUpload(e: React.ChangeEvent<HTMLInputElement>) {
-    const f = (e.target.files && e.target.files[0]) || null;
-    if (!f) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(String(reader.result || "[]"));
-        onData(Array.isArray(data) ? data : (data?.items || []));
-      } catch (e) {
-        console.error(e);
-        alert("Invalid JSON");
-      }
-    };
-    reader.readAsText(f);
-  }
+function ExtractionImport({ pdfUrl, onImport }: { pdfUrl: string | null; onImport: (fields: any[], info: { fileName: string; format: ImportFormat }) => void }) {
+  const [pending, setPending] = useState<{ fileName: string; format: ImportFormat; records: Record<string, any>[] } | null>(null);
+  const [report, setReport] = useState<{ fileName: string; imported: number; rejected: ImportRejection[]; error?: string } | null>(null);
+  const [showRejected, setShowRejected] = useState(false);
+
+  function handleUpload(e: React.ChangeEvent<HTMLInputElement>) {
+    const f = (e.target.files && e.target.files[0]) || null;
+    e.target.value = "";
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseImportText(f.name, String(reader.result || ""));
+        if (!parsed.records.length) throw new Error("The file contains no records.");
+        setPending({ fileName: f.name, ...parsed });
+      } catch (err: any) {
+        console.error(err);
+        setReport({ fileName: f.name, imported: 0, rejected: [], error: err?.message || "The file could not be read." });
+      }
+    };
+    reader.readAsText(f);
+  }
+
+  return (
+    <div className="md:col-span-8">
+      <label className="block text-sm font-medium mb-2">Extraction results</label>
+      <div className="flex items-center gap-3">
+        <label className="inline-flex items-center gap-2 rounded-2xl border border-neutral-300 bg-white px-3 py-2.5 text-sm cursor-pointer hover:shadow-sm transition">
+          <Upload size={16} />
+          <span>Import JSON / CSV / XML</span>
+          <input type="file" accept=".json,.csv,.xml,application/json,text/csv,application/xml,text/xml" className="hidden" onChange={handleUpload} />
+        </label>
+        <span className="text-sm text-neutral-500">Map any export onto fields to lazy-load & highlight.</span>
+      </div>
+      {report && (
+        <div className={"mt-2 rounded-xl border px-3 py-2 text-xs " + (report.error ? "border-red-200 bg-red-50 text-red-700" : "border-neutral-200 bg-white text-neutral-600")}>
+          <div className="flex items-center gap-2">
+            <span className="truncate">
+              {report.error
+                ? `${report.fileName}: ${report.error}`
+                : `Imported ${report.imported} field(s) from ${report.fileName}` + (report.rejected.length ? `; ${report.rejected.length} row(s) rejected` : ".")}
+            </span>
+            {report.rejected.length > 0 && (
+              <button type="button" onClick={() => setShowRejected((v) => !v)} className="underline shrink-0">
+                {showRejected ? "Hide" : "Show"}
+              </button>
+            )}
+            <button type="button" onClick={() => setReport(null)} className="ml-auto opacity-70 hover:opacity-100" title="Dismiss">
+              <X size={12} />
+            </button>
+          </div>
+          {showRejected && <RejectedRows rows={report.rejected} />}
+        </div>
+      )}
+      <AnimatePresence>
+        {pending && (
+          <ImportMappingDialog
+            key="import-mapping"
+            {...pending}
+            pdfUrl={pdfUrl}
+            onCancel={() => setPending(null)}
+            onImport={(fields, rejected) => {
+              setReport({ fileName: pending.fileName, imported: fields.length, rejected });
+              setShowRejected(false);
+              setPending(null);
+              if (fields.length) onImport(fields, { fileName: pending.fileName, format: pending.format });
+            }}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+function RejectedRows({ rows }: { rows: ImportRejection[] }) {
+  return (
+    <ul className="mt-1.5 max-h-32 overflow-auto space-y-0.5 font-mono text-[11px] text-red-700">
+      {rows.slice(0, 200).map((r) => (
+        <li key={r.row}>
+          Row {r.row}: {r.reason}
+        </li>
+      ))}
+      {rows.length > 200 && <li>…and {rows.length - 200} more</li>}
+    </ul>
+  );
+}
+
+function ImportMappingDialog({
+  fileName,
+  format,
+  records,
+  pdfUrl,
+  onCancel,
+  onImport,
+}: {
+  fileName: string;
+  format: ImportFormat;
+  records: Record<string, any>[];
+  pdfUrl: string | null;
+  onCancel: () => void;
+  onImport: (fields: any[], rejected: ImportRejection[]) => void;
+}) {
+  const keys = useMemo(() => importKeys(records), [records]);
+  const [mapping, setMapping] = useState<ImportMapping>(() => guessMapping(keys));
+  const set = (p: Partial<ImportMapping>) => setMapping((m) => ({ ...m, ...p }));
+
+  // Page sizes (PDF points) for absolute boxes: from the loaded PDF, or entered by hand
+  const [pdfPages, setPdfPages] = useState<PageSize[] | null>(null);
+  const [manualSize, setManualSize] = useState<PageSize>({ width: 612, height: 792 });
+  useEffect(() => {
+    if (!pdfUrl) return;
+    let cancelled = false;
+    let doc: any = null;
+    (async () => {
+      try {
+        doc = await pdfjsLib.getDocument(pdfUrl).promise;
+        const sizes: PageSize[] = [];
+        for (let p = 1; p <= doc.numPages; p++) {
+          const page = await doc.getPage(p);
+          const [x0, y0, x1, y1] = page.view;
+          sizes.push({ width: x1 - x0, height: y1 - y0 });
+        }
+        if (!cancelled) setPdfPages(sizes);
+      } catch (e) {
+        console.error(e);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      doc?.destroy();
+    };
+  }, [pdfUrl]);
+
+  const mapped = useMemo(
+    () =>
+      mapImportRecords(records, mapping, {
+        pageCount: pdfPages?.length,
+        pageSize: (p) => (pdfPages ? pdfPages[p - 1] || null : manualSize),
+      }),
+    [records, mapping, pdfPages, manualSize]
+  );
+
+  useEffect(() => {
+    function onKey(e: KeyboardEvent) {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onCancel();
+      }
+    }
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [onCancel]);
+
+  const keySelect = (target: keyof ImportMapping, label: string, optional = true) => (
+    <label className="block">
+      <span className="block text-[12px] text-neutral-500 mb-1">{label}</span>
+      <select
+        value={mapping[target] as string}
+        onChange={(e) => set({ [target]: e.target.value } as Partial<ImportMapping>)}
+        className="w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+      >
+        {optional && <option value="">(none)</option>}
+        {keys.map((k) => (
+          <option key={k} value={k}>{k}</option>
+        ))}
+      </select>
+    </label>
+  );
+  const selectCls = "w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 text-sm outline-none focus:ring-2 focus:ring-neutral-900";
+  const preview = records.slice(0, 6);
+
+  return (
+    <motion.div className="fixed inset-0 z-40" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/30 backdrop-blur-[2px]" onClick={onCancel} />
+      <motion.div
+        role="dialog"
+        aria-modal
+        aria-label="Map imported columns"
+        initial={{ opacity: 0, y: 20, scale: 0.98 }}
+        animate={{ opacity: 1, y: 0, scale: 1 }}
+        exit={{ opacity: 0, y: 10, scale: 0.98 }}
+        transition={{ duration: 0.18 }}
+        className="absolute inset-x-3 top-[6vh] z-50 mx-auto max-h-[88vh] max-w-4xl overflow-auto rounded-3xl border border-neutral-200 bg-white shadow-2xl"
+      >
+        <div className="flex items-center justify-between gap-3 border-b border-neutral-200 px-4 py-3">
+          <div className="min-w-0">
+            <div className="text-[12px] text-neutral-500">Import {format.toUpperCase()} · {records.length} record(s)</div>
+            <div className="text-sm font-medium truncate">{fileName}</div>
+          </div>
+          <button aria-label="Close" onClick={onCancel} className="rounded-xl border border-neutral-200 p-1 hover:bg-neutral-50">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {keySelect("label", "Label", false)}
+            {keySelect("value", "Value")}
+            {keySelect("page", "Page")}
+            {keySelect("bbox", "BBox")}
+            {keySelect("confidence", "Confidence")}
+            {keySelect("source", "Source")}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <label className="block">
+              <span className="block text-[12px] text-neutral-500 mb-1">BBox units</span>
+              <select value={mapping.bboxUnits} onChange={(e) => set({ bboxUnits: e.target.value as ImportMapping["bboxUnits"] })} className={selectCls}>
+                <option value="normalized">Normalized (0–1)</option>
+                <option value="absolute">Absolute (PDF points)</option>
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-[12px] text-neutral-500 mb-1">BBox format</span>
+              <select value={mapping.bboxFormat} onChange={(e) => set({ bboxFormat: e.target.value as ImportMapping["bboxFormat"] })} className={selectCls}>
+                <option value="xywh">x, y, width, height</option>
+                <option value="corners">x0, y0, x1, y1</option>
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-[12px] text-neutral-500 mb-1">Y origin</span>
+              <select value={mapping.origin} onChange={(e) => set({ origin: e.target.value as ImportMapping["origin"] })} className={selectCls}>
+                <option value="top">Top edge</option>
+                <option value="bottom">Bottom edge (PDF)</option>
+              </select>
+            </label>
+            <div className="text-[12px] text-neutral-500">
+              <span className="block mb-1">Page size</span>
+              {pdfPages ? (
+                <span className="block py-1.5 text-neutral-700">From the loaded PDF ({pdfPages.length} pages)</span>
+              ) : (
+                <span className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    value={manualSize.width}
+                    onChange={(e) => setManualSize((s) => ({ ...s, width: Number(e.target.value) || 0 }))}
+                    className="w-16 rounded-lg border border-neutral-300 px-1.5 py-1.5 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+                  />
+                  ×
+                  <input
+                    type="number"
+                    value={manualSize.height}
+                    onChange={(e) => setManualSize((s) => ({ ...s, height: Number(e.target.value) || 0 }))}
+                    className="w-16 rounded-lg border border-neutral-300 px-1.5 py-1.5 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+                  />
+                  pt
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="rounded-xl border border-neutral-200 overflow-hidden">
+            <div className="px-3 py-1.5 text-[12px] text-neutral-500 border-b border-neutral-100">Preview (first {preview.length})</div>
+            <div className="grid grid-cols-[1.2fr,2fr,56px,1.6fr] gap-3 px-3 py-1.5 text-xs font-medium text-neutral-500 border-b border-neutral-100">
+              <div>Label</div>
+              <div>Value</div>
+              <div>Page</div>
+              <div>BBox / status</div>
+            </div>
+            {preview.map((rec, i) => {
+              const rejection = mapped.rejected.find((r) => r.row === i + 1);
+              const field = mapped.byRow.get(i + 1);
+              const regions = coordRegions(field?.coord);
+              return (
+                <div key={i} className="grid grid-cols-[1.2fr,2fr,56px,1.6fr] gap-3 px-3 py-1.5 text-xs border-b border-neutral-100 last:border-b-0">
+                  <div className="truncate">{String(rec[mapping.label] ?? "")}</div>
+                  <div className="truncate text-neutral-600">{mapping.value ? String(rec[mapping.value] ?? "") : ""}</div>
+                  <div className="text-neutral-500">{regions.map((r) => r.page).join(",") || "-"}</div>
+                  <div className={"truncate font-mono " + (rejection ? "text-red-600" : "text-neutral-500")}>
+                    {rejection ? rejection.reason : regions.map((r) => r.bbox.map((n) => n.toFixed(3)).join(" ")).join("; ") || "no box"}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {mapped.rejected.length > 0 && (
+            <div className="rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-700">
+              {mapped.rejected.length} of {records.length} row(s) will be rejected.
+              <RejectedRows rows={mapped.rejected} />
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-2 border-t border-neutral-200 px-4 py-3">
+          <button type="button" onClick={onCancel} className="rounded-xl border border-neutral-300 px-3 py-2 text-sm hover:bg-neutral-50">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onImport(mapped.fields, mapped.rejected)}
+            disabled={!mapping.label || !mapped.fields.length}
+            className="rounded-xl bg-neutral-900 px-3 py-2 text-sm text-white hover:bg-neutral-800 disabled:opacity-50"
+          >
+            Import {mapped.fields.length} field(s)
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+function RedactPdfDialog({
+  pdfUrl,
+  fileName,
+  fields,
+  pii,
+  onClose,
+}: {
+  pdfUrl: string;
+  fileName?: string;
+  fields: any[];
+  pii: Map<string, PiiMatch>;
+  onClose: () => void;
+}) {
+  const fromFields = useMemo(() => fieldRedactions(fields, pii), [fields, pii]);
+  const [fromText, setFromText] = useState<RedactionRegion[] | null>(null);
+  const regions = useMemo(() => [...fromFields, ...(fromText || [])].sort((a, b) => a.page - b.page), [fromFields, fromText]);
+  // PII field boxes start selected; text hits are added to the selection as the scan finds them
+  const [selected, setSelected] = useState<Set<string>>(() => new Set(fromFields.filter((r) => r.kind).map((r) => r.key)));
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+  // Download waits for the text scan; a failed scan is shown and can be retried
+  const [scanError, setScanError] = useState<string | null>(null);
+  const [scanAttempt, setScanAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    let doc: any = null;
+    setFromText(null);
+    setScanError(null);
+    (async () => {
+      try {
+        doc = await pdfjsLib.getDocument(pdfUrl).promise;
+        const hits = await textRedactions(doc);
+        if (cancelled) return;
+        setFromText(hits);
+        setSelected((prev) => new Set([...prev, ...hits.map((r) => r.key)]));
+      } catch (e: any) {
+        console.error(e);
+        if (cancelled) return;
+        setFromText([]);
+        setScanError(e?.message || String(e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+      doc?.destroy();
+    };
+  }, [pdfUrl, scanAttempt]);
+
+  useEffect(() => {
+    function onKey(e: KeyboardEvent) {
+      if (e.key === "Escape" && !progress) {
+        e.stopPropagation();
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [onClose, progress]);
+
+  const toggle = (key: string) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const download = useCallback(async () => {
+    setProgress({ done: 0, total: 0 });
+    try {
+      const blob = await redactPdf(
+        pdfUrl,
+        regions.filter((r) => selected.has(r.key)),
+        (done, total) => setProgress({ done, total })
+      );
+      downloadBlob(blob, `${(fileName || "document").replace(/\.pdf$/i, "")}.redacted.pdf`);
+      onClose();
+    } catch (e) {
+      console.error(e);
+      alert("Failed to generate the redacted PDF");
+    } finally {
+      setProgress(null);
+    }
+  }, [pdfUrl, regions, selected, fileName, onClose]);
+
+  return (
+    <motion.div className="fixed inset-0 z-40" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/30 backdrop-blur-[2px]" onClick={() => !progress && onClose()} />
+      <motion.div
+        role="dialog"
+        aria-modal
+        aria-label="Redact PDF"
+        initial={{ opacity: 0, y: 20, scale: 0.98 }}
+        animate={{ opacity: 1, y: 0, scale: 1 }}
+        exit={{ opacity: 0, y: 10, scale: 0.98 }}
+        transition={{ duration: 0.18 }}
+        className="absolute inset-x-3 top-[6vh] z-50 mx-auto flex max-h-[88vh] max-w-2xl flex-col rounded-3xl border border-neutral-200 bg-white shadow-2xl"
+      >
+        <div className="flex items-center justify-between gap-3 border-b border-neutral-200 px-4 py-3">
+          <div className="min-w-0">
+            <div className="text-[12px] text-neutral-500">Redacted copy · {selected.size} of {regions.length} region(s) selected</div>
+            <div className="text-sm font-medium truncate">{fileName || "document.pdf"}</div>
+          </div>
+          <button aria-label="Close" onClick={onClose} disabled={!!progress} className="rounded-xl border border-neutral-200 p-1 hover:bg-neutral-50 disabled:opacity-50">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 px-4 pt-3 text-xs text-neutral-600">
+          <button type="button" onClick={() => setSelected(new Set(regions.filter((r) => r.kind).map((r) => r.key)))} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50">
+            PII only
+          </button>
+          <button type="button" onClick={() => setSelected(new Set(regions.map((r) => r.key)))} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50">
+            All
+          </button>
+          <button type="button" onClick={() => setSelected(new Set())} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50">
+            None
+          </button>
+          {fromText == null && (
+            <span className="inline-flex items-center gap-1 text-neutral-500">
+              <Loader2 className="animate-spin" size={12} /> Scanning the document text for PII…
+            </span>
+          )}
+        </div>
+        {scanError && (
+          <div className="mx-4 mt-3 flex items-center gap-3 rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-700">
+            <span className="flex-1 min-w-0">
+              The text scan failed ({scanError}). PII that no field box covers will not be redacted.
+            </span>
+            <button type="button" onClick={() => setScanAttempt((n) => n + 1)} disabled={!!progress} className="rounded-lg border border-red-300 px-2 py-1 hover:bg-red-100 disabled:opacity-50">
+              Retry scan
+            </button>
+          </div>
+        )}
+
+        <div className="m-4 flex-1 min-h-0 overflow-auto rounded-xl border border-neutral-200 text-sm">
+          {regions.length === 0 ? (
+            <p className="p-3 text-neutral-500">{fromText == null ? "Looking for regions…" : "No field boxes or detected PII to redact."}</p>
+          ) : (
+            regions.map((r) => (
+              <label key={r.key} className="grid cursor-pointer grid-cols-[20px,1fr,120px,48px] items-center gap-3 border-b border-neutral-100 px-3 py-1.5 last:border-b-0 hover:bg-neutral-50">
+                <input type="checkbox" checked={selected.has(r.key)} onChange={() => toggle(r.key)} />
+                <span className="truncate">{r.label}</span>
+                <span className="text-xs text-neutral-500">
+                  {r.kind ? PII_LABELS[r.kind] : "field"}
+                  {r.origin === "text" ? " · in text" : ""}
+                </span>
+                <span className="text-xs text-neutral-500 tabular-nums">p{r.page}</span>
+              </label>
+            ))
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-2 border-t border-neutral-200 px-4 py-3">
+          <p className="text-[12px] text-neutral-500">Pages are flattened to images; the copy keeps no text layer from the original.</p>
+          <div className="flex items-center gap-2">
+            <button type="button" onClick={onClose} disabled={!!progress} className="rounded-xl border border-neutral-300 px-3 py-2 text-sm hover:bg-neutral-50 disabled:opacity-50">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={download}
+              disabled={!!progress || fromText == null}
+              title={fromText == null ? "Waiting for the text scan to finish" : undefined}
+              className="inline-flex items-center gap-1.5 rounded-xl bg-neutral-900 px-3 py-2 text-sm text-white hover:bg-neutral-800 disabled:opacity-50"
+            >
+              {progress ? (
+                <>
+                  <Loader2 className="animate-spin" size={14} /> {progress.total ? `Page ${progress.done} of ${progress.total}` : "Preparing…"}
+                </>
+              ) : scanError ? (
+                "Download without text scan"
+              ) : (
+                "Download redacted PDF"
+              )}
+            </button>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Run log: newest first; each record can be inspected, replayed as-is or downloaded
+function RunLogDrawer({
+  records,
+  currentId,
+  running,
+  onRerun,
+  onDownload,
+  onClose,
+}: {
+  records: RunRecord[];
+  currentId?: string;
+  running: boolean;
+  onRerun: (r: RunRecord) => void;
+  onDownload: (r: RunRecord) => void;
+  onClose: () => void;
+}) {
+  const byId = useMemo(() => new Map(records.map((r) => [r.id, r])), [records]);
+  const statusClass = { done: "text-emerald-700", error: "text-red-600", cancelled: "text-neutral-500" };
+  return (
+    <motion.div className="fixed inset-0 z-40" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/30 backdrop-blur-[2px]" onClick={onClose} />
+      <motion.aside
+        role="dialog"
+        aria-modal
+        aria-label="Runs"
+        initial={{ x: 40, opacity: 0 }}
+        animate={{ x: 0, opacity: 1 }}
+        exit={{ x: 40, opacity: 0 }}
+        transition={{ duration: 0.18 }}
+        className="absolute inset-y-0 right-0 z-50 flex w-full max-w-xl flex-col border-l border-neutral-200 bg-white shadow-2xl"
+      >
+        <div className="flex items-center justify-between gap-3 border-b border-neutral-200 px-4 py-3">
+          <div className="min-w-0">
+            <div className="text-[12px] text-neutral-500">{records.length} run(s) this session · last {MAX_RUN_RECORDS} kept</div>
+            <div className="text-sm font-medium">Runs</div>
+          </div>
+          <button aria-label="Close" onClick={onClose} className="rounded-xl border border-neutral-200 p-1 hover:bg-neutral-50">
+            <X size={16} />
+          </button>
+        </div>
+        <div className="flex-1 min-h-0 overflow-auto p-4 space-y-3">
+          {records.length === 0 && <p className="text-sm text-neutral-500">Nothing has been sent to the extractor yet.</p>}
+          {records
+            .slice()
+            .reverse()
+            .map((r) => {
+              const original = r.rerunOf ? byId.get(r.rerunOf) : undefined;
+              const fieldCount = r.responses.reduce((n, p) => n + (p?.fields?.length || 0), 0);
+              return (
+                <div key={r.id} className={"rounded-2xl border p-3 text-sm " + (r.id === currentId ? "border-neutral-900" : "border-neutral-200")}>
+                  <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                    <span className="font-medium">#{r.n}</span>
+                    <span className="text-neutral-500">{new Date(r.at).toLocaleString()}</span>
+                    <span className={statusClass[r.status]}>{r.status}</span>
+                    <span className="ml-auto text-[12px] text-neutral-500 tabular-nums">
+                      {r.latencyMs} ms · {fieldCount} field(s)
+                    </span>
+                  </div>
+                  <div className="mt-1 text-[12px] text-neutral-600 break-words">
+                    {r.meta.formLabel || r.meta.form} · {r.provider}
+                    {r.stream ? " (streamed)" : ""} · {r.requests.length} request(s) · {r.pdf ? r.pdf.name : "no PDF"}
+                  </div>
+                  {r.pdf?.sha256 && (
+                    <div className="text-[11px] text-neutral-400 font-mono truncate" title={r.pdf.sha256}>
+                      sha256 {r.pdf.sha256}
+                    </div>
+                  )}
+                  {r.rerunOf && (
+                    <div className="text-[12px] mt-1">
+                      Re-run of #{original?.n ?? "?"}
+                      {original?.responseSha256 && r.responseSha256 && r.status === "done" && (
+                        <span className={original.responseSha256 === r.responseSha256 ? "text-emerald-700" : "text-amber-700"}>
+                          {original.responseSha256 === r.responseSha256 ? " · identical response" : " · response differs"}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {r.error && <div className="text-[12px] text-red-600 mt-1 break-words">{r.error}</div>}
+                  <details className="mt-2">
+                    <summary className="cursor-pointer text-[12px] text-neutral-500">Requests</summary>
+                    <div className="mt-1 space-y-2">
+                      {r.requests.map((q, i) => (
+                        <div key={i} className="rounded-xl bg-neutral-50 px-2 py-1.5 text-[12px]">
+                          <div className="text-neutral-500">
+                            {q.config?.model || "default model"}
+                            {q.config?.system ? ` · ${q.config.system}` : ""}
+                          </div>
+                          {q.prompts.map((p) => (
+                            <div key={p} className="break-words">{p}</div>
+                          ))}
+                          {q.fieldNames?.length ? <div className="text-neutral-400 break-words">Fields: {q.fieldNames.join(", ")}</div> : null}
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => onRerun(r)}
+                      disabled={running}
+                      className="rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50 disabled:opacity-50"
+                      title="Send the same requests with the same PDF again"
+                    >
+                      Re-run
+                    </button>
+                    <button type="button" onClick={() => onDownload(r)} className="rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50">
+                      Export
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+        </div>
+      </motion.aside>
+    </motion.div>
+  );
+}
+
+function BatchPanel({
+  docs,
+  running,
+  concurrency,
+  openId,
+  canRun,
+  onConcurrency,
+  onAdd,
+  onRemove,
+  onClear,
+  onRun,
+  onCancel,
+  onOpen,
+  onExport,
+}: {
+  docs: BatchDoc[];
+  running: boolean;
+  concurrency: number;
+  openId: string | null;
+  canRun: boolean;
+  onConcurrency: (n: number) => void;
+  onAdd: (files: File[]) => void;
+  onRemove: (id: string) => void;
+  onClear: () => void;
+  onRun: () => void;
+  onCancel: () => void;
+  onOpen: (doc: BatchDoc) => void;
+  onExport: (kind: "csv" | "xlsx") => void;
+}) {
+  const [dragOver, setDragOver] = useState(false);
+  const counts = useMemo(() => {
+    const c: Record<BatchStatus, number> = { queued: 0, running: 0, done: 0, error: 0, cancelled: 0 };
+    for (const d of docs) c[d.status]++;
+    return c;
+  }, [docs]);
+  const finished = counts.done + counts.error + counts.cancelled;
+  const pending = docs.length - counts.done;
+
+  function takeFiles(list: FileList | null) {
+    const files = Array.from(list || []).filter((f) => f.type === "application/pdf" || /\.pdf$/i.test(f.name));
+    if (files.length) onAdd(files);
+  }
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-white p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-medium">Batch extraction</div>
+          <div className="text-[12px] text-neutral-500">Runs the form and prompts selected above over every PDF in the list.</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <label className="inline-flex items-center gap-1.5 text-neutral-600">
+            Parallel
+            <select
+              value={concurrency}
+              onChange={(e) => onConcurrency(Number(e.target.value))}
+              disabled={running}
+              className="rounded-lg border border-neutral-300 bg-white px-1.5 py-1 outline-none focus:ring-2 focus:ring-neutral-900"
+            >
+              {[1, 2, 3, 4, 6].map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+          {running ? (
+            <button type="button" onClick={onCancel} className="inline-flex items-center gap-1 rounded-lg border border-neutral-300 px-2.5 py-1 hover:bg-neutral-50">
+              <X size={12} /> Cancel batch
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onRun}
+              disabled={!canRun || pending === 0}
+              className="rounded-lg bg-neutral-900 px-2.5 py-1 text-white hover:bg-neutral-800 disabled:opacity-50"
+            >
+              Run {pending} document(s)
+            </button>
+          )}
+          <button type="button" onClick={() => onExport("csv")} disabled={!counts.done} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+            .csv
+          </button>
+          <button type="button" onClick={() => onExport("xlsx")} disabled={!counts.done} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+            .xlsx
+          </button>
+          <button type="button" onClick={onClear} disabled={running || !docs.length} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          takeFiles(e.dataTransfer.files);
+        }}
+        className={
+          "mt-3 flex cursor-pointer items-center justify-center gap-2 rounded-xl border border-dashed px-3 py-4 text-sm transition " +
+          (dragOver ? "border-neutral-900 bg-neutral-50" : "border-neutral-300 text-neutral-500 hover:bg-neutral-50")
+        }
+      >
+        <Upload size={16} />
+        Drop PDFs here or click to add
+        <input type="file" accept="application/pdf" multiple className="hidden" onChange={(e) => {
+            takeFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </label>
+
+      {docs.length > 0 && (
+        <>
+          <div className="mt-3 flex items-center gap-3 text-xs text-neutral-600">
+            <div className="h-1.5 flex-1 overflow-hidden rounded-full bg-neutral-100">
+              <div className="h-full bg-neutral-900 transition-all" style={{ width: `${(finished / docs.length) * 100}%` }} />
+            </div>
+            <span className="tabular-nums">
+              {finished}/{docs.length} · {counts.done} done{counts.error ? ` · ${counts.error} failed` : ""}
+              {counts.running ? ` · ${counts.running} running` : ""}
+            </span>
+          </div>
+          <div className="mt-2 max-h-64 overflow-auto rounded-xl border border-neutral-200">
+            {docs.map((d) => (
+              <div key={d.id} className={"grid grid-cols-[1fr,90px,70px,64px,110px] items-center gap-3 border-b px-3 py-1.5 text-sm last:border-b-0 " + (d.id === openId ? "bg-amber-50" : "")}>
+                <div className="min-w-0">
+                  <div className="truncate" title={d.file.name}>{d.file.name}</div>
+                  {d.error && <div className="truncate text-[11px] text-red-600" title={d.error}>{d.error}</div>}
+                </div>
+                <span className={"inline-flex items-center justify-center gap-1 rounded-full border px-2 py-0.5 text-[11px] " + BATCH_STATUS_STYLE[d.status]}>
+                  {d.status === "running" && <Loader2 className="animate-spin" size={10} />}
+                  {d.status}
+                </span>
+                <span className="text-xs text-neutral-500 tabular-nums">{d.fields ? `${d.fields.length} field(s)` : "-"}</span>
+                <span className="text-xs text-neutral-500 tabular-nums">
+                  {d.startedAt && d.finishedAt ? `${((d.finishedAt - d.startedAt) / 1000).toFixed(1)}s` : ""}
+                </span>
+                <span className="flex justify-end gap-1.5 text-xs">
+                  <button type="button" onClick={() => onOpen(d)} disabled={d.status !== "done"} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50 disabled:opacity-40">
+                    Open
+                  </button>
+                  <button type="button" onClick={() => onRemove(d.id)} disabled={d.status === "running"} className="opacity-70 hover:opacity-100 disabled:opacity-30" title="Remove">
+                    <X size={12} />
+                  </button>
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function PromptSetManager({
+  sets,
+  activeId,
+  onLoad,
+  onDelete,
+  onImport,
+  onExport,
+}: {
+  sets: PromptSet[];
+  activeId?: string;
+  onLoad: (set: PromptSet, version: number) => void;
+  onDelete: (id: string) => void;
+  onImport: (sets: PromptSet[], origin: string) => void;
+  // undefined while nothing is saved (export covers every form's sets)
+  onExport?: () => void;
+}) {
+  const [versionById, setVersionById] = useState<Record<string, number>>({});
+  const [endpoint, setEndpoint] = useState("");
+  const [fetching, setFetching] = useState(false);
+
+  async function importFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onImport(promptSetsFromJson(JSON.parse(await file.text())), file.name);
+    } catch (err: any) {
+      console.error(err);
+      alert(`Could not import prompt sets: ${err?.message || err}`);
+    }
+  }
+
+  async function importEndpoint() {
+    const url = endpoint.trim();
+    if (!url) return;
+    setFetching(true);
+    try {
+      const res = await fetch(url, { headers: { Accept: "application/json" } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      onImport(promptSetsFromJson(await res.json()), url);
+    } catch (err: any) {
+      console.error(err);
+      alert(`Could not load prompt sets from ${url}: ${err?.message || err}`);
+    } finally {
+      setFetching(false);
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-white p-4">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h3 className="text-sm font-medium mr-auto">Saved prompt sets</h3>
+        <button type="button" onClick={onExport} disabled={!onExport} className="rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50 disabled:opacity-50">
+          Export JSON
+        </button>
+        <label className="cursor-pointer rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50">
+          Import file
+          <input type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+        </label>
+        <input
+          value={endpoint}
+          onChange={(e) => setEndpoint(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && importEndpoint()}
+          placeholder="https://…/prompt-sets.json"
+          className="w-56 rounded-lg border border-neutral-300 px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+        />
+        <button type="button" onClick={importEndpoint} disabled={!endpoint.trim() || fetching} className="inline-flex items-center gap-1 rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50 disabled:opacity-50">
+          {fetching && <Loader2 className="animate-spin" size={12} />} Load URL
+        </button>
+      </div>
+      {sets.length === 0 ? (
+        <p className="text-[12px] text-neutral-500">No saved sets for this form. Name a custom-prompt setup and click "Save set", or import one.</p>
+      ) : (
+        <div className="divide-y divide-neutral-100 text-sm">
+          {sets.map((s) => {
+            const latest = latestVersion(s);
+            const picked = s.versions.find((v) => v.version === versionById[s.id]) || latest;
+            return (
+              <div key={s.id} className={"flex flex-wrap items-center gap-3 py-2 " + (s.id === activeId ? "font-medium" : "")}>
+                <span className="min-w-0 flex-1 truncate" title={picked.prompts.join("\n")}>
+                  {s.name}
+                  <span className="ml-2 text-xs font-normal text-neutral-500">
+                    {picked.prompts.length} prompt(s) · {picked.model}
+                    {picked.fieldSchema.length ? ` · ${picked.fieldSchema.length} field hint(s)` : ""}
+                  </span>
+                </span>
+                <select
+                  value={picked.version}
+                  onChange={(e) => setVersionById((m) => ({ ...m, [s.id]: Number(e.target.value) }))}
+                  className="rounded-lg border border-neutral-300 bg-white px-1.5 py-1 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+                >
+                  {s.versions
+                    .slice()
+                    .reverse()
+                    .map((v) => (
+                      <option key={v.version} value={v.version}>
+                        v{v.version} · {new Date(v.savedAt).toLocaleString()}
+                        {v === latest ? " (latest)" : ""}
+                      </option>
+                    ))}
+                </select>
+                <button type="button" onClick={() => onLoad(s, picked.version)} className="rounded-lg border border-neutral-300 px-2 py-1 text-xs hover:bg-neutral-50">
+                  Load
+                </button>
+                <button
+                  type="button"
+                  onClick={() => confirm(`Delete "${s.name}" and all ${s.versions.length} version(s)?`) && onDelete(s.id)}
+                  className="opacity-70 hover:opacity-100"
+                  title="Delete set"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Registry-backed model picker; models that can't take the current document are disabled with the reason
+function ModelSelect({
+  value,
+  onChange,
+  models,
+  estimate,
+  className,
+}: {
+  value: string;
+  onChange: (id: string) => void;
+  models: ModelInfo[];
+  estimate: RunEstimate;
+  className?: string;
+}) {
   return (
-    <div className="md:col-span-8">
-      <label className="block text-sm font-medium mb-2">Extraction JSON</label>
-      <div className="flex items-center gap-3">
-        <label className="inline-flex items-center gap-2 rounded-2xl border border-neutral-300 bg-white px-3 py-2.5 text-sm cursor-pointer hover:shadow-sm transition">
-          <Upload size={16} />
-          <span>Upload Extracted JSON</span>
-          <input type="file" accept="application/json" className="hidden" onChange={handleJsonUpload} />
-        </label>
-        <span className="text-sm text-neutral-500">Use the JSON we generated to lazy-load & highlight.</span>
-      </div>
-    </div>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={className}>
+      {!models.some((m) => m.id === value) && <option value={value}>{value} (not in registry)</option>}
+      {models.map((m) => {
+        const why = modelFit(m, estimate);
+        return (
+          <option key={m.id} value={m.id} disabled={!!why}>
+            {modelOptionLabel(m)}
+            {why ? ` (${why})` : ""}
+          </option>
+        );
+      })}
+    </select>
   );
 }
 
-function LibraryPromptMultiSelect({ options, selected, onToggle }: { options: string[]; selected: Set<string>; onToggle: (opt: string) => void }) {
+function LibraryPromptMultiSelect({
+  options,
+  selected,
+  onToggle,
+  sets = [],
+  activeSet,
+  onPickSet,
+}: {
+  options: string[];
+  selected: Set<string>;
+  onToggle: (opt: string) => void;
+  // saved prompt sets for the form, listed under the built-ins; picking one loads its latest version
+  sets?: PromptSet[];
+  activeSet?: { set: PromptSet; version: number } | null;
+  onPickSet?: (set: PromptSet) => void;
+}) {
   const [open, setOpen] = useState(false);
   const menuRef = useRef<HTMLDivElement | null>(null);
   useEffect(() => {
@@ -202,7 +2235,7 @@ function LibraryPromptMultiSelect({ options, selected, onToggle }: { options: st
     document.addEventListener("mousedown", onDocClick);
     return () => document.removeEventListener("mousedown", onDocClick);
   }, []);
-  const label = selected.size ? `${selected.size} selected` : "Choose prompt(s)";
+  const label = activeSet ? `${activeSet.set.name} (v${activeSet.version})` : selected.size ? `${selected.size} selected` : "Choose prompt(s)";
   return (
     <div className="relative" ref={menuRef}>
       <button
@@ -217,6 +2250,7 @@ function LibraryPromptMultiSelect({ options, selected, onToggle }: { options: st
       </button>
       {open && (
         <div className="absolute z-20 mt-1 w-full rounded-2xl border border-neutral-200 bg-white shadow-lg max-h-60 overflow-auto">
+          {sets.length > 0 && <div className="px-3 pt-2 text-[11px] font-medium uppercase tracking-wide text-neutral-400">Built-in</div>}
           {options.length === 0 ? (
             <div className="p-3 text-sm text-neutral-500">No prompts for this form.</div>
           ) : (
@@ -238,30 +2272,268 @@ function LibraryPromptMultiSelect({ options, selected, onToggle }: { options: st
               })}
             </ul>
           )}
+          {sets.length > 0 && (
+            <>
+              <div className="border-t border-neutral-100 px-3 pt-2 text-[11px] font-medium uppercase tracking-wide text-neutral-400">Saved sets</div>
+              <ul className="py-1">
+                {sets.map((set) => {
+                  const latest = latestVersion(set);
+                  return (
+                    <li key={set.id}>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          onPickSet?.(set);
+                          setOpen(false);
+                        }}
+                        className={"w-full flex items-start justify-between gap-3 px-3 py-2 text-left hover:bg-neutral-50 " + (activeSet?.set.id === set.id ? "bg-neutral-50" : "")}
+                        title={latest.prompts.join("\n")}
+                      >
+                        <span className="text-sm">{set.name}</span>
+                        <span className="shrink-0 text-xs text-neutral-500">
+                          v{latest.version} · {latest.prompts.length} prompt(s)
+                        </span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
         </div>
       )}
     </div>
   );
 }
 
+// ---------- text layer ----------
+// Words are indexed per page with a bbox normalized like field coords ([x, y, w, h], 0..1).
+type TextWord = { text: string; bbox: number[] };
+
+async function extractPageWords(page: any): Promise<TextWord[]> {
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const words: TextWord[] = [];
+  for (const item of content.items as any[]) {
+    if (!item.str || !item.str.trim()) continue;
+    const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+    const h = Math.hypot(tx[2], tx[3]) || item.height || 0;
+    const x0 = tx[4];
+    const y0 = tx[5] - h;
+    // pdf.js gives one run per item; split into words assuming evenly spaced glyphs
+    const charW = (item.width * viewport.scale) / item.str.length;
+    const re = /\S+/g;
+    let m: RegExpExecArray | null;
+    while ((m = re.exec(item.str))) {
+      words.push({
+        text: m[0],
+        bbox: [(x0 + m.index * charW) / viewport.width, y0 / viewport.height, (m[0].length * charW) / viewport.width, h / viewport.height],
+      });
+    }
+  }
+  return words;
+}
+
+// Words whose center falls inside the box, in reading order
+function wordsInBox(words: TextWord[], [bx, by, bw, bh]: number[]) {
+  const inside = words.filter((w) => {
+    const cx = w.bbox[0] + w.bbox[2] / 2;
+    const cy = w.bbox[1] + w.bbox[3] / 2;
+    return cx >= bx && cx <= bx + bw && cy >= by && cy <= by + bh;
+  });
+  return readingOrder(inside);
+}
+
+// Top to bottom by line, left to right within a line. A word joins the current line when its
+// vertical center lies within half a word height of the line's first word.
+function readingOrder(words: TextWord[]) {
+  const centerY = (w: TextWord) => w.bbox[1] + w.bbox[3] / 2;
+  const byY = [...words].sort((a, b) => centerY(a) - centerY(b));
+  const lines: TextWord[][] = [];
+  for (const w of byY) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(centerY(w) - centerY(line[0])) <= Math.max(w.bbox[3], line[0].bbox[3]) / 2) line.push(w);
+    else lines.push([w]);
+  }
+  return lines.flatMap((line) => line.sort((a, b) => a.bbox[0] - b.bbox[0]));
+}
+
+function unionBox(boxes: number[][]) {
+  const x0 = Math.min(...boxes.map((b) => b[0]));
+  const y0 = Math.min(...boxes.map((b) => b[1]));
+  const x1 = Math.max(...boxes.map((b) => b[0] + b[2]));
+  const y1 = Math.max(...boxes.map((b) => b[1] + b[3]));
+  return [x0, y0, x1 - x0, y1 - y0];
+}
+
+// Case-insensitive match; a multi-word query must hit consecutive words
+function findInWords(words: TextWord[], query: string) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const hits: number[][] = [];
+  if (!tokens.length) return hits;
+  for (let i = 0; i + tokens.length <= words.length; i++) {
+    if (tokens.every((t, j) => words[i + j].text.toLowerCase().includes(t))) {
+      hits.push(unionBox(words.slice(i, i + tokens.length).map((w) => w.bbox)));
+    }
+  }
+  return hits;
+}
+
 // ---------- PDF viewer (CDN-safe fallback: native viewer, page jump only) ----------
-function PdfJsViewer({ url, allowedPages, highlight }: { url: string | null; allowedPages: Set<number>; highlight: any }) {
+// Canvases kept alive at once; pages further from the viewport fall back to placeholders.
+const MAX_LIVE_PAGES = 12;
+
+// Zoom: fit modes or a fixed percentage (100% = 96dpi, like the browser's PDF viewer)
+const CSS_UNITS = 96 / 72;
+const ZOOM_STEPS = [50, 75, 100, 125, 150, 200, 300, 400];
+type ZoomState = { mode: "width" | "page" | "custom"; percent: number };
+type ViewState = { zoom: ZoomState; rotation: Record<number, number> };
+// Zoom and per-page rotation survive field changes and collapsing the details, per document URL
+const viewStateByDoc = new Map<string, ViewState>();
+const DEFAULT_VIEW: ViewState = { zoom: { mode: "width", percent: 100 }, rotation: {} };
+
+// Field coords are normalized to the unrotated page; map a box into a view rotated
+// clockwise by `deg` (use 360 - deg to map back).
+function rotateBox([x, y, w, h]: number[], deg: number) {
+  switch (((deg % 360) + 360) % 360) {
+    case 90:
+      return [1 - y - h, x, h, w];
+    case 180:
+      return [1 - x - w, 1 - y - h, w, h];
+    case 270:
+      return [y, 1 - x - w, h, w];
+    default:
+      return [x, y, w, h];
+  }
+}
+
+function PdfJsViewer({
+  url,
+  allowedPages,
+  highlight,
+  onCoordChange,
+  onUseText,
+  onDocument,
+  jumpTo,
+  compare,
+  redact,
+}: {
+  url: string | null;
+  allowedPages: Set<number>;
+  highlight: any;
+  // Receives the corrected coord (same shape as `highlight`) after an edit-mode change. Passed only while
+  // a field is selected; with no `highlight` yet, edit mode draws its first box.
+  onCoordChange?: (coord: any) => void;
+  // Offered the words inside a drawn/adjusted box as the field value
+  onUseText?: (text: string) => void;
+  // Shares the loaded pdf.js document (e.g. with the thumbnail strip)
+  onDocument?: (doc: any) => void;
+  // Scroll request; the nonce lets the same page be requested twice
+  jumpTo?: { page: number; nonce: number } | null;
+  // Run comparison: the same field from two runs, drawn in two colors
+  compare?: { a: any; b: any } | null;
+  // Regions covered with solid boxes (masked PII)
+  redact?: any[];
+}) {
   const containerRef = useRef<HTMLDivElement | null>(null);
   const pdfRef = useRef<any>(null);
   const renderedRef = useRef<Set<number>>(new Set());
+  // Lazy rendering bookkeeping: in-flight renders, pages near the viewport, pages to keep alive
+  const renderingRef = useRef<Map<number, Promise<void>>>(new Map());
+  // pdf.js RenderTask per page while its canvas is being drawn; a canvas takes one render at a time
+  const renderTasksRef = useRef<Map<number, any>>(new Map());
+  const visibleRef = useRef<Set<number>>(new Set());
+  const pinnedRef = useRef<Set<number>>(new Set());
+  const observerRef = useRef<IntersectionObserver | null>(null);
+  // Unscaled size of page 1, used for placeholders until a page is rendered
+  const defaultBaseRef = useRef({ w: 612, h: 792 });
+  const [zoom, setZoom] = useState<ZoomState>(DEFAULT_VIEW.zoom);
+  const [rotation, setRotation] = useState<Record<number, number>>(DEFAULT_VIEW.rotation);
+  // Mirrors for render code that runs from observers and async callbacks
+  const zoomRef = useRef<ZoomState>(DEFAULT_VIEW.zoom);
+  const rotationRef = useRef<Record<number, number>>(DEFAULT_VIEW.rotation);
+  // Bumped once a document is laid out so the highlight is drawn on it
+  const [docTick, setDocTick] = useState(0);
   const [containerWidth, setContainerWidth] = useState<number>(0);
+  const [containerHeight, setContainerHeight] = useState<number>(0);
+  const regions = useMemo(() => coordRegions(highlight), [highlight]);
+  const [regionIndex, setRegionIndex] = useState(0);
+  const [editMode, setEditMode] = useState(false);
+  // The coord we just emitted; when it comes back as `highlight` we keep the region and scroll position
+  const ownEditRef = useRef<any>(null);
+  const onCoordChangeRef = useRef(onCoordChange);
+  onCoordChangeRef.current = onCoordChange;
+
+  // Text layer: per-page word index, built on demand and shared by box suggestions and find
+  const textRef = useRef<Map<number, Promise<TextWord[]>>>(new Map());
+  const [suggestion, setSuggestion] = useState<string | null>(null);
+  const [findQuery, setFindQuery] = useState("");
+  const [findHits, setFindHits] = useState<{ page: number; bbox: number[] }[]>([]);
+  const [findIndex, setFindIndex] = useState(0);
+  const [finding, setFinding] = useState(false);
+  const [searchedFor, setSearchedFor] = useState("");
+  const findTokenRef = useRef(0);
+
+  // A new field starts at its first region
+  useEffect(() => {
+    if (highlight && highlight === ownEditRef.current) return;
+    setRegionIndex(0);
+    setSuggestion(null);
+  }, [highlight]);
 
   // Observe container width
   useEffect(() => {
     if (!containerRef.current) return;
     const ro = new ResizeObserver((entries) => {
-      for (const entry of entries) setContainerWidth(entry.contentRect.width);
+      for (const entry of entries) {
+        setContainerWidth(entry.contentRect.width);
+        setContainerHeight(entry.contentRect.height);
+      }
     });
     ro.observe(containerRef.current);
     return () => ro.disconnect();
-  }, []);
+  }, [url]);
+
+  function pageWords(pageNumber: number): Promise<TextWord[]> {
+    let words = textRef.current.get(pageNumber);
+    if (!words) {
+      words = pdfRef.current.getPage(pageNumber).then(extractPageWords);
+      textRef.current.set(pageNumber, words!);
+    }
+    return words!;
+  }
+
+  async function offerText(coord: any) {
+    if (!onUseText || !pdfRef.current) return;
+    const parts: string[] = [];
+    for (const r of coordRegions(coord)) {
+      const words = await pageWords(r.page);
+      parts.push(...wordsInBox(words, r.bbox).map((w) => w.text));
+    }
+    setSuggestion(parts.length ? parts.join(" ") : null);
+  }
+
+  async function runFind(query: string) {
+    const token = ++findTokenRef.current;
+    setFindHits([]);
+    setFindIndex(0);
+    setSearchedFor(query);
+    if (!query.trim() || !pdfRef.current) return;
+    setFinding(true);
+    const hits: { page: number; bbox: number[] }[] = [];
+    try {
+      for (let p = 1; p <= pdfRef.current.numPages; p++) {
+        const words = await pageWords(p);
+        if (token !== findTokenRef.current) return;
+        for (const bbox of findInWords(words, query)) hits.push({ page: p, bbox });
+      }
+      setFindHits(hits);
+    } finally {
+      if (token === findTokenRef.current) setFinding(false);
+    }
+  }
 
-  // Load PDF
+  // Load PDF: one placeholder per page, eager render for extracted pages, lazy for the rest
   useEffect(() => {
     let canceled = false;
     async function load() {
@@ -270,134 +2542,551 @@ function PdfJsViewer({ url, allowedPages, highlight }: { url: string | null; all
       const pdf = await task.promise;
       if (canceled) return;
       pdfRef.current = pdf;
+      onDocument?.(pdf);
       // reset
       if (containerRef.current) containerRef.current.innerHTML = "";
+      renderTasksRef.current.forEach((t) => t.cancel());
+      renderTasksRef.current = new Map();
       renderedRef.current = new Set();
-      const list = Array.from(allowedPages || new Set<number>()).sort((a, b) => a - b);
-      if (list.length) await renderPage(list[0]);
+      renderingRef.current = new Map();
+      visibleRef.current = new Set();
+      textRef.current = new Map();
+      findTokenRef.current++;
+      setFindHits([]);
+      setSearchedFor("");
+      setSuggestion(null);
+      const saved = viewStateByDoc.get(url) || DEFAULT_VIEW;
+      zoomRef.current = saved.zoom;
+      rotationRef.current = saved.rotation;
+      setZoom(saved.zoom);
+      setRotation(saved.rotation);
+
+      const first = await pdf.getPage(1);
+      const vp = first.getViewport({ scale: 1 });
+      defaultBaseRef.current = { w: vp.width, h: vp.height };
+      if (canceled) return;
+      for (let p = 1; p <= pdf.numPages; p++) ensurePageDiv(p);
+
+      observerRef.current?.disconnect();
+      observerRef.current = new IntersectionObserver(
+        (entries) => {
+          for (const entry of entries) {
+            const p = Number((entry.target as HTMLDivElement).dataset.page);
+            if (entry.isIntersecting) {
+              visibleRef.current.add(p);
+              renderPage(p).catch(console.error);
+            } else {
+              visibleRef.current.delete(p);
+            }
+          }
+          evictOffscreen();
+        },
+        { root: containerRef.current, rootMargin: "600px 0px" }
+      );
+      containerRef.current?.querySelectorAll("div[data-page]").forEach((el) => observerRef.current!.observe(el));
+
+      await renderEager();
+      if (!canceled) setDocTick((t) => t + 1);
     }
     load().catch(console.error);
     return () => {
       canceled = true;
+      observerRef.current?.disconnect();
+      observerRef.current = null;
       pdfRef.current = null;
+      onDocument?.(null);
     };
   }, [url]);
 
-  // When allowed pages change, reset and show first allowed
   useEffect(() => {
-    if (!pdfRef.current || !containerRef.current) return;
-    containerRef.current.innerHTML = "";
-    renderedRef.current = new Set();
+    if (!jumpTo || !pdfRef.current) return;
+    renderPage(jumpTo.page).catch(console.error);
+    document.getElementById(`pdf-page-${jumpTo.page}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [jumpTo]);
+
+  // Extracted pages are rendered up front (within the live-page budget)
+  async function renderEager() {
     const list = Array.from(allowedPages || new Set<number>()).sort((a, b) => a - b);
-    if (list.length) renderPage(list[0]);
-  }, [allowedPages]);
+    for (const p of list.slice(0, MAX_LIVE_PAGES)) await renderPage(p);
+  }
 
-  // Re-render on resize to keep crisp
   useEffect(() => {
     if (!pdfRef.current || !containerRef.current) return;
+    renderEager().catch(console.error);
+  }, [allowedPages]);
+
+  // Keep the highlighted (and compared) field's pages from being evicted
+  useEffect(() => {
+    pinnedRef.current = new Set([...regions, ...coordRegions(compare?.a), ...coordRegions(compare?.b)].map((r) => r.page));
+  }, [regions, compare]);
+
+  // Re-layout and re-render live pages (keeps them crisp), holding the reader's place
+  function relayout() {
+    const el = containerRef.current;
+    if (!pdfRef.current || !el) return;
+    const anchorPage = currentPage();
+    const anchorDiv = document.getElementById(`pdf-page-${anchorPage}`) as HTMLDivElement | null;
+    const frac = anchorDiv ? (el.scrollTop + el.clientHeight / 2 - anchorDiv.offsetTop) / (anchorDiv.offsetHeight || 1) : 0;
     const pages = Array.from(renderedRef.current);
-    containerRef.current.innerHTML = "";
-    renderedRef.current = new Set();
+    el.querySelectorAll("div[data-page]").forEach((d) => sizePageDiv(d as HTMLDivElement));
+    if (anchorDiv) el.scrollTop = anchorDiv.offsetTop + frac * anchorDiv.offsetHeight - el.clientHeight / 2;
     (async () => {
-      for (const p of pages) await renderPage(p);
-      drawHighlight();
+      for (const p of pages) await renderPage(p, true);
+      drawHighlight(false);
+      drawFindHits(false);
+      drawCompare(false);
+      drawRedactions();
     })();
-  }, [containerWidth]);
+  }
 
-  async function renderPage(pageNumber: number) {
-    if (!pdfRef.current || !containerRef.current) return;
-    if (!allowedPages || !allowedPages.has(pageNumber)) return; // restrict
-    const page = await pdfRef.current.getPage(pageNumber);
+  useEffect(relayout, [containerWidth, containerHeight]);
+
+  useEffect(() => {
+    zoomRef.current = zoom;
+    rotationRef.current = rotation;
+    if (url) viewStateByDoc.set(url, { zoom, rotation });
+    relayout();
+  }, [zoom, rotation]);
+
+  // Page whose area is at the vertical center of the viewport
+  function currentPage() {
+    const el = containerRef.current;
+    if (!el) return 1;
+    const mid = el.scrollTop + el.clientHeight / 2;
+    for (const d of Array.from(el.querySelectorAll("div[data-page]")) as HTMLDivElement[]) {
+      if (d.offsetTop + d.offsetHeight + 16 >= mid) return Number(d.dataset.page);
+    }
+    return pdfRef.current?.numPages || 1;
+  }
+
+  // Display size for a page given its unscaled size, its rotation and the zoom mode
+  function layoutSize(baseW: number, baseH: number, rot: number) {
+    const [w, h] = rot % 180 ? [baseH, baseW] : [baseW, baseH];
+    const availW = containerRef.current?.clientWidth || w;
+    const availH = (containerRef.current?.clientHeight || h) - 16;
+    const z = zoomRef.current;
+    const scale = z.mode === "width" ? availW / w : z.mode === "page" ? Math.min(availW / w, availH / h) : (z.percent / 100) * CSS_UNITS;
+    return { scale, width: w * scale, height: h * scale };
+  }
+
+  function sizePageDiv(pageDiv: HTMLDivElement) {
+    const p = Number(pageDiv.dataset.page);
+    const baseW = Number(pageDiv.dataset.baseW) || defaultBaseRef.current.w;
+    const baseH = Number(pageDiv.dataset.baseH) || defaultBaseRef.current.h;
+    const { width, height } = layoutSize(baseW, baseH, rotationRef.current[p] || 0);
+    pageDiv.style.width = `${Math.round(width)}px`;
+    pageDiv.style.height = `${Math.round(height)}px`;
+  }
+
+  // Boxes between stored (unrotated) and on-screen (rotated) normalized space
+  function displayBox(page: number, bbox: number[]) {
+    return rotateBox(bbox, rotationRef.current[page] || 0);
+  }
+  function storedBox(page: number, box: number[]) {
+    return rotateBox(box, 360 - (rotationRef.current[page] || 0));
+  }
+
+  function zoomPercent() {
+    const z = zoomRef.current;
+    if (z.mode === "custom") return z.percent;
+    const { scale } = layoutSize(defaultBaseRef.current.w, defaultBaseRef.current.h, 0);
+    return Math.round((scale / CSS_UNITS) * 100);
+  }
 
-    // Fit-to-width scaling
-    const viewport0 = page.getViewport({ scale: 1 });
-    const width = containerRef.current.clientWidth || viewport0.width;
-    const scale = width / viewport0.width;
-    const viewport = page.getViewport({ scale });
+  function stepZoom(dir: 1 | -1) {
+    const cur = zoomPercent();
+    const next = dir > 0 ? ZOOM_STEPS.find((z) => z > cur) : [...ZOOM_STEPS].reverse().find((z) => z < cur);
+    if (next) setZoom({ mode: "custom", percent: next });
+  }
+
+  function rotateCurrent(delta: number) {
+    const p = regions.length ? regions[regionIndex]?.page ?? currentPage() : currentPage();
+    setRotation((prev) => ({ ...prev, [p]: (((prev[p] || 0) + delta) % 360 + 360) % 360 }));
+  }
 
-    // Page container
+  // Page container with a placeholder label and the find/highlight overlays; the canvas comes and goes
+  function ensurePageDiv(pageNumber: number) {
     const id = `pdf-page-${pageNumber}`;
     let pageDiv = document.getElementById(id) as HTMLDivElement | null;
-    if (!pageDiv) {
-      pageDiv = document.createElement("div");
-      pageDiv.id = id;
-      pageDiv.dataset.page = String(pageNumber);
-      pageDiv.style.position = "relative";
-      pageDiv.style.margin = "0 0 16px 0";
-      containerRef.current.appendChild(pageDiv);
-    }
+    if (pageDiv || !containerRef.current) return pageDiv;
+    pageDiv = document.createElement("div");
+    pageDiv.id = id;
+    pageDiv.dataset.page = String(pageNumber);
+    pageDiv.style.position = "relative";
+    pageDiv.style.margin = "0 auto 16px auto";
+    pageDiv.style.background = "#f5f5f5";
+    sizePageDiv(pageDiv);
 
-    // Canvas
-    let canvas = pageDiv.querySelector("canvas") as HTMLCanvasElement | null;
-    if (!canvas) {
-      canvas = document.createElement("canvas");
-      pageDiv.appendChild(canvas);
-    }
-    const context = canvas.getContext("2d");
-    canvas.width = Math.ceil(viewport.width);
-    canvas.height = Math.ceil(viewport.height);
-    canvas.style.width = `${viewport.width}px`;
-    canvas.style.height = `${viewport.height}px`;
+    const label = document.createElement("span");
+    label.className = "__ph__";
+    label.textContent = `Page ${pageNumber}`;
+    label.style.position = "absolute";
+    label.style.left = "50%";
+    label.style.top = "50%";
+    label.style.transform = "translate(-50%, -50%)";
+    label.style.fontSize = "12px";
+    label.style.color = "#a3a3a3";
+    pageDiv.appendChild(label);
+
+    // Overlay for find-in-document hits (below the field highlight)
+    const findOverlay = document.createElement("div");
+    findOverlay.className = "__find__";
+    findOverlay.style.position = "absolute";
+    findOverlay.style.inset = "0";
+    findOverlay.style.pointerEvents = "none";
+    pageDiv.appendChild(findOverlay);
 
-    await page.render({ canvasContext: context as any, viewport }).promise;
-    renderedRef.current.add(pageNumber);
+    // Overlay for run-comparison boxes
+    const cmpOverlay = document.createElement("div");
+    cmpOverlay.className = "__cmp__";
+    cmpOverlay.style.position = "absolute";
+    cmpOverlay.style.inset = "0";
+    cmpOverlay.style.pointerEvents = "none";
+    pageDiv.appendChild(cmpOverlay);
+
+    // Overlay for PII redaction boxes (under the highlight so the active field stays outlined)
+    const redactOverlay = document.createElement("div");
+    redactOverlay.className = "__redact__";
+    redactOverlay.style.position = "absolute";
+    redactOverlay.style.inset = "0";
+    redactOverlay.style.pointerEvents = "none";
+    pageDiv.appendChild(redactOverlay);
 
     // Overlay for highlights
-    let overlay = pageDiv.querySelector("div.__hl__") as HTMLDivElement | null;
-    if (!overlay) {
-      overlay = document.createElement("div");
-      overlay.className = "__hl__";
-      overlay.style.position = "absolute";
-      overlay.style.left = "0";
-      overlay.style.top = "0";
-      overlay.style.right = "0";
-      overlay.style.bottom = "0";
-      overlay.style.pointerEvents = "none";
-      pageDiv.appendChild(overlay);
+    const overlay = document.createElement("div");
+    overlay.className = "__hl__";
+    overlay.style.position = "absolute";
+    overlay.style.left = "0";
+    overlay.style.top = "0";
+    overlay.style.right = "0";
+    overlay.style.bottom = "0";
+    overlay.style.pointerEvents = "none";
+    pageDiv.appendChild(overlay);
+
+    containerRef.current.appendChild(pageDiv);
+    return pageDiv;
+  }
+
+  function renderPage(pageNumber: number, force = false): Promise<void> {
+    if (!pdfRef.current || !containerRef.current) return Promise.resolve();
+    if (pageNumber < 1 || pageNumber > pdfRef.current.numPages) return Promise.resolve();
+    if (!force && renderedRef.current.has(pageNumber)) return Promise.resolve();
+    const pending = renderingRef.current.get(pageNumber);
+    if (pending && !force) return pending;
+    const job = (async () => {
+      // A forced re-render (zoom, rotate, resize) supersedes the one in flight on this canvas
+      if (pending) {
+        renderTasksRef.current.get(pageNumber)?.cancel();
+        await pending.catch(() => {});
+      }
+      const page = await pdfRef.current.getPage(pageNumber);
+
+      // Zoom / fit scaling with the page's own rotation plus the reviewer's
+      const viewport0 = page.getViewport({ scale: 1 });
+      const rot = rotationRef.current[pageNumber] || 0;
+      const { scale } = layoutSize(viewport0.width, viewport0.height, rot);
+      const viewport = page.getViewport({ scale, rotation: (page.rotate + rot) % 360 });
+
+      const pageDiv = ensurePageDiv(pageNumber);
+      if (!pageDiv) return;
+      pageDiv.dataset.baseW = String(viewport0.width);
+      pageDiv.dataset.baseH = String(viewport0.height);
+      pageDiv.style.width = `${viewport.width}px`;
+      pageDiv.style.height = `${viewport.height}px`;
+
+      // Canvas (first child so the overlays stay on top)
+      let canvas = pageDiv.querySelector("canvas") as HTMLCanvasElement | null;
+      if (!canvas) {
+        canvas = document.createElement("canvas");
+        canvas.style.display = "block";
+        pageDiv.insertBefore(canvas, pageDiv.firstChild);
+      }
+      const context = canvas.getContext("2d");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      canvas.style.width = `${viewport.width}px`;
+      canvas.style.height = `${viewport.height}px`;
+
+      const task = page.render({ canvasContext: context as any, viewport });
+      renderTasksRef.current.set(pageNumber, task);
+      try {
+        await task.promise;
+      } catch (err: any) {
+        if (err?.name === "RenderingCancelledException") return;
+        throw err;
+      } finally {
+        if (renderTasksRef.current.get(pageNumber) === task) renderTasksRef.current.delete(pageNumber);
+      }
+      const label = pageDiv.querySelector("span.__ph__") as HTMLSpanElement | null;
+      if (label) label.style.display = "none";
+      renderedRef.current.add(pageNumber);
+      evictOffscreen();
+    })().finally(() => {
+      if (renderingRef.current.get(pageNumber) === job) renderingRef.current.delete(pageNumber);
+    });
+    renderingRef.current.set(pageNumber, job);
+    return job;
+  }
+
+  // Drop canvases far from the viewport once more than MAX_LIVE_PAGES are live
+  function evictOffscreen() {
+    const live = Array.from(renderedRef.current);
+    if (live.length <= MAX_LIVE_PAGES) return;
+    const keep = new Set([...visibleRef.current, ...pinnedRef.current]);
+    const anchor = visibleRef.current.size ? Math.min(...Array.from(visibleRef.current)) : 1;
+    const victims = live
+      .filter((p) => !keep.has(p))
+      .sort((a, b) => Math.abs(b - anchor) - Math.abs(a - anchor))
+      .slice(0, live.length - MAX_LIVE_PAGES);
+    for (const p of victims) {
+      renderTasksRef.current.get(p)?.cancel();
+      const pageDiv = document.getElementById(`pdf-page-${p}`);
+      const canvas = pageDiv?.querySelector("canvas") as HTMLCanvasElement | null;
+      if (canvas) {
+        canvas.width = 0;
+        canvas.height = 0;
+        canvas.remove();
+      }
+      const label = pageDiv?.querySelector("span.__ph__") as HTMLSpanElement | null;
+      if (label) label.style.display = "";
+      renderedRef.current.delete(p);
     }
   }
 
-  function drawHighlight() {
-    if (!highlight || !highlight.page) return;
-    const p = Number(highlight.page);
-    const pageDiv = document.getElementById(`pdf-page-${p}`) as HTMLDivElement | null;
-    if (!pageDiv) return;
-    const overlay = pageDiv.querySelector("div.__hl__") as HTMLDivElement | null;
-    if (!overlay) return;
+  // ---- edit mode: move / resize the current region, or redraw it by dragging on any page ----
+  function toNorm(overlay: HTMLDivElement, clientX: number, clientY: number) {
+    const b = overlay.getBoundingClientRect();
+    return [clamp01((clientX - b.left) / (b.width || 1)), clamp01((clientY - b.top) / (b.height || 1))];
+  }
 
-    // Clear
-    overlay.innerHTML = "";
+  function placeBox(el: HTMLElement, overlay: HTMLDivElement, [nx, ny, nw, nh]: number[]) {
+    el.style.left = `${nx * overlay.clientWidth}px`;
+    el.style.top = `${ny * overlay.clientHeight}px`;
+    el.style.width = `${nw * overlay.clientWidth}px`;
+    el.style.height = `${nh * overlay.clientHeight}px`;
+  }
 
-    const canvas = pageDiv.querySelector("canvas") as HTMLCanvasElement | null;
-    if (!canvas) return;
-    const styleW = parseFloat(canvas.style.width || "0");
-    const styleH = parseFloat(canvas.style.height || "0");
-
-    const [nx, ny, nw, nh] = highlight.bbox || [0, 0, 0, 0];
-
-    const rect = document.createElement("div");
-    rect.style.position = "absolute";
-    rect.style.left = `${nx * styleW}px`;
-    rect.style.top = `${ny * styleH}px`;
-    rect.style.width = `${nw * styleW}px`;
-    rect.style.height = `${nh * styleH}px`;
-    rect.style.background = "rgba(255, 230, 0, 0.35)";
-    rect.style.outline = "2px solid rgba(255, 200, 0, 0.8)";
-    rect.style.borderRadius = "4px";
-    overlay.appendChild(rect);
-
-    if (highlight.scroll !== false) pageDiv.scrollIntoView({ behavior: "smooth", block: "center" });
+  function beginEdit(e: PointerEvent, overlay: HTMLDivElement, page: number, mode: "move" | "resize" | "draw", el: HTMLElement, start: number[]) {
+    e.preventDefault();
+    e.stopPropagation();
+    const [sx, sy] = toNorm(overlay, e.clientX, e.clientY);
+    let box = start.slice();
+    const onMove = (ev: PointerEvent) => {
+      const [x, y] = toNorm(overlay, ev.clientX, ev.clientY);
+      if (mode === "move") {
+        box = [Math.min(Math.max(start[0] + x - sx, 0), 1 - start[2]), Math.min(Math.max(start[1] + y - sy, 0), 1 - start[3]), start[2], start[3]];
+      } else if (mode === "resize") {
+        box = [start[0], start[1], Math.max(0.005, x - start[0]), Math.max(0.005, y - start[1])];
+      } else {
+        box = [Math.min(sx, x), Math.min(sy, y), Math.abs(x - sx), Math.abs(y - sy)];
+      }
+      placeBox(el, overlay, box);
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      // A click without a drag is not a correction
+      if (box[2] < 0.003 || box[3] < 0.003 || (mode !== "draw" && box.every((v, i) => v === start[i]))) {
+        drawHighlight(false);
+        return;
+      }
+      const region = { page, bbox: storedBox(page, box).map((v) => Math.round(v * 10000) / 10000) };
+      const next = Array.isArray(highlight) ? regions.map((r, i) => (i === regionIndex ? region : r)) : region;
+      ownEditRef.current = next;
+      // Overlay handlers outlive renders; report to whichever field is selected now
+      onCoordChangeRef.current?.(next);
+      offerText(next).catch(console.error);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  }
+
+  // Draw every region of the highlighted field; the current one is emphasized and scrolled to.
+  async function drawHighlight(scroll = true) {
+    if (!containerRef.current) return;
+    const editing = editMode && !!onCoordChange;
+    containerRef.current.querySelectorAll("div.__hl__").forEach((node) => {
+      const o = node as HTMLDivElement;
+      o.innerHTML = "";
+      o.style.pointerEvents = editing ? "auto" : "none";
+      o.style.cursor = editing ? "crosshair" : "";
+      o.onpointerdown = editing
+        ? (e) => {
+            const tmp = document.createElement("div");
+            tmp.style.position = "absolute";
+            tmp.style.outline = "2px dashed rgba(37, 99, 235, 0.9)";
+            tmp.style.background = "rgba(37, 99, 235, 0.12)";
+            o.appendChild(tmp);
+            const [x, y] = toNorm(o, e.clientX, e.clientY);
+            beginEdit(e, o, Number((o.parentElement as HTMLDivElement).dataset.page), "draw", tmp, [x, y, 0, 0]);
+          }
+        : null;
+    });
+    if (!regions.length) return;
+    for (const p of new Set(regions.map((r) => r.page))) {
+      if (!renderedRef.current.has(p)) await renderPage(p);
+    }
+
+    let current: HTMLDivElement | null = null;
+    regions.forEach((r, i) => {
+      const pageDiv = document.getElementById(`pdf-page-${r.page}`) as HTMLDivElement | null;
+      const overlay = pageDiv?.querySelector("div.__hl__") as HTMLDivElement | null;
+      if (!overlay) return;
+      const styleW = overlay.clientWidth;
+      const styleH = overlay.clientHeight;
+
+      const [nx, ny, nw, nh] = displayBox(r.page, r.bbox);
+      const isCurrent = i === regionIndex;
+
+      const rect = document.createElement("div");
+      rect.style.position = "absolute";
+      rect.style.left = `${nx * styleW}px`;
+      rect.style.top = `${ny * styleH}px`;
+      rect.style.width = `${nw * styleW}px`;
+      rect.style.height = `${nh * styleH}px`;
+      rect.style.background = isCurrent ? "rgba(255, 230, 0, 0.35)" : "rgba(255, 230, 0, 0.15)";
+      rect.style.outline = isCurrent ? "2px solid rgba(255, 200, 0, 0.8)" : "1px dashed rgba(255, 200, 0, 0.8)";
+      rect.style.borderRadius = "4px";
+      if (regions.length > 1) {
+        const tag = document.createElement("span");
+        tag.textContent = String(i + 1);
+        tag.style.position = "absolute";
+        tag.style.left = "-8px";
+        tag.style.top = "-8px";
+        tag.style.fontSize = "10px";
+        tag.style.lineHeight = "16px";
+        tag.style.minWidth = "16px";
+        tag.style.textAlign = "center";
+        tag.style.borderRadius = "8px";
+        tag.style.background = "rgba(23, 23, 23, 0.85)";
+        tag.style.color = "#fff";
+        rect.appendChild(tag);
+      }
+      if (editing && isCurrent) {
+        rect.style.cursor = "move";
+        rect.style.outline = "2px solid rgba(37, 99, 235, 0.9)";
+        rect.onpointerdown = (e) => beginEdit(e, overlay, r.page, "move", rect, displayBox(r.page, r.bbox));
+        const handle = document.createElement("div");
+        handle.style.position = "absolute";
+        handle.style.right = "-5px";
+        handle.style.bottom = "-5px";
+        handle.style.width = "10px";
+        handle.style.height = "10px";
+        handle.style.borderRadius = "2px";
+        handle.style.background = "rgba(37, 99, 235, 0.95)";
+        handle.style.cursor = "nwse-resize";
+        handle.onpointerdown = (e) => beginEdit(e, overlay, r.page, "resize", rect, displayBox(r.page, r.bbox));
+        rect.appendChild(handle);
+      }
+      overlay.appendChild(rect);
+      if (isCurrent) current = rect;
+    });
+
+    if (scroll && highlight !== ownEditRef.current && highlight?.scroll !== false && current) (current as HTMLDivElement).scrollIntoView({ behavior: "smooth", block: "center" });
   }
 
   useEffect(() => {
-    if (!highlight || !pdfRef.current) return;
-    const p = Number(highlight.page || 1);
-    if (!renderedRef.current.has(p)) {
-      renderPage(p).then(() => drawHighlight());
-    } else {
-      drawHighlight();
+    if (!pdfRef.current) return;
+    drawHighlight();
+  }, [highlight, allowedPages, regionIndex, editMode, docTick, !!onCoordChange]);
+
+  async function drawFindHits(scroll = true) {
+    if (!containerRef.current) return;
+    containerRef.current.querySelectorAll("div.__find__").forEach((o) => (o.innerHTML = ""));
+    const target = findHits[findIndex];
+    if (target && !renderedRef.current.has(target.page)) await renderPage(target.page);
+    let current: HTMLDivElement | null = null;
+    findHits.forEach((hit, i) => {
+      const overlay = document.getElementById(`pdf-page-${hit.page}`)?.querySelector("div.__find__") as HTMLDivElement | null;
+      if (!overlay) return;
+      const rect = document.createElement("div");
+      rect.style.position = "absolute";
+      placeBox(rect, overlay, displayBox(hit.page, hit.bbox));
+      rect.style.background = i === findIndex ? "rgba(249, 115, 22, 0.45)" : "rgba(249, 115, 22, 0.2)";
+      rect.style.borderRadius = "2px";
+      overlay.appendChild(rect);
+      if (i === findIndex) current = rect;
+    });
+    if (scroll && current) (current as HTMLDivElement).scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  useEffect(() => {
+    if (!pdfRef.current) return;
+    drawFindHits();
+  }, [findHits, findIndex]);
+
+  // Run A in blue (solid), run B in fuchsia (dashed); where they agree the two outlines overlap
+  async function drawCompare(scroll = true) {
+    if (!containerRef.current) return;
+    containerRef.current.querySelectorAll("div.__cmp__").forEach((o) => (o.innerHTML = ""));
+    if (!compare) return;
+    const sides = [
+      { tag: "A", regions: coordRegions(compare.a), color: "37, 99, 235", outline: "solid" },
+      { tag: "B", regions: coordRegions(compare.b), color: "192, 38, 211", outline: "dashed" },
+    ];
+    for (const p of new Set(sides.flatMap((sd) => sd.regions.map((r) => r.page)))) {
+      if (!renderedRef.current.has(p)) await renderPage(p);
+    }
+    let first: HTMLDivElement | null = null;
+    for (const sd of sides) {
+      for (const r of sd.regions) {
+        const overlay = document.getElementById(`pdf-page-${r.page}`)?.querySelector("div.__cmp__") as HTMLDivElement | null;
+        if (!overlay) continue;
+        const rect = document.createElement("div");
+        rect.style.position = "absolute";
+        placeBox(rect, overlay, displayBox(r.page, r.bbox));
+        rect.style.background = `rgba(${sd.color}, 0.12)`;
+        rect.style.outline = `2px ${sd.outline} rgba(${sd.color}, 0.9)`;
+        rect.style.borderRadius = "3px";
+        const tag = document.createElement("span");
+        tag.textContent = sd.tag;
+        tag.style.position = "absolute";
+        tag.style[sd.tag === "A" ? "left" : "right"] = "-8px";
+        tag.style.top = "-8px";
+        tag.style.fontSize = "10px";
+        tag.style.lineHeight = "16px";
+        tag.style.minWidth = "16px";
+        tag.style.textAlign = "center";
+        tag.style.borderRadius = "8px";
+        tag.style.background = `rgb(${sd.color})`;
+        tag.style.color = "#fff";
+        rect.appendChild(tag);
+        overlay.appendChild(rect);
+        if (!first) first = rect;
+      }
+    }
+    if (scroll && first) (first as HTMLDivElement).scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  useEffect(() => {
+    if (!pdfRef.current) return;
+    drawCompare();
+  }, [compare, docTick]);
+
+  // Boxes are placed in percentages so they stay put when a placeholder page is rendered at its real size
+  function drawRedactions() {
+    if (!containerRef.current) return;
+    containerRef.current.querySelectorAll("div.__redact__").forEach((o) => (o.innerHTML = ""));
+    for (const r of (redact || []).flatMap((c) => coordRegions(c))) {
+      const overlay = document.getElementById(`pdf-page-${r.page}`)?.querySelector("div.__redact__") as HTMLDivElement | null;
+      if (!overlay) continue;
+      const [x, y, w, h] = displayBox(r.page, r.bbox);
+      const rect = document.createElement("div");
+      rect.style.position = "absolute";
+      rect.style.left = `${x * 100}%`;
+      rect.style.top = `${y * 100}%`;
+      rect.style.width = `${w * 100}%`;
+      rect.style.height = `${h * 100}%`;
+      rect.style.background = "#0a0a0a";
+      rect.title = "Masked";
+      overlay.appendChild(rect);
     }
-  }, [highlight, allowedPages]);
+  }
+
+  useEffect(() => {
+    if (!pdfRef.current) return;
+    drawRedactions();
+  }, [redact, docTick]);
 
   return (
     <div className="relative h-full">
@@ -409,14 +3098,240 @@ function PdfJsViewer({ url, allowedPages, highlight }: { url: string | null; all
           </div>
         </div>
       ) : (
-        <div ref={containerRef} className="absolute inset-0 overflow-auto" />
+        <div className="flex h-full flex-col">
+          {/* Toolbar: find in document, region stepping, bbox edit mode */}
+          <div className="flex flex-wrap items-center gap-2 pb-2 text-xs">
+            <form
+              className="inline-flex items-center gap-1.5"
+              onSubmit={(e) => {
+                e.preventDefault();
+                runFind(findQuery).catch(console.error);
+              }}
+            >
+              <input
+                value={findQuery}
+                onChange={(e) => setFindQuery(e.target.value)}
+                placeholder="Find in document"
+                className="w-44 rounded-lg border border-neutral-300 px-2 py-1 outline-none focus:ring-2 focus:ring-neutral-900"
+              />
+              {finding ? (
+                <Loader2 className="animate-spin" size={14} />
+              ) : findHits.length > 0 ? (
+                <>
+                  <button type="button" onClick={() => setFindIndex((i) => (i - 1 + findHits.length) % findHits.length)} className="px-1 hover:opacity-70" title="Previous match">
+                    ‹
+                  </button>
+                  <span className="tabular-nums text-neutral-600">
+                    {findIndex + 1} of {findHits.length} · p.{findHits[findIndex]?.page}
+                  </span>
+                  <button type="button" onClick={() => setFindIndex((i) => (i + 1) % findHits.length)} className="px-1 hover:opacity-70" title="Next match">
+                    ›
+                  </button>
+                </>
+              ) : findQuery.trim() && searchedFor === findQuery ? (
+                <span className="text-neutral-400">No matches</span>
+              ) : null}
+            </form>
+            <div className="inline-flex items-center gap-1">
+              <button type="button" onClick={() => stepZoom(-1)} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50" title="Zoom out">
+                −
+              </button>
+              <select
+                value={zoom.mode === "custom" ? String(zoom.percent) : zoom.mode}
+                onChange={(e) => {
+                  const v = e.target.value;
+                  setZoom(v === "width" || v === "page" ? { mode: v, percent: zoom.percent } : { mode: "custom", percent: Number(v) });
+                }}
+                className="rounded-lg border border-neutral-300 bg-white px-1.5 py-0.5 outline-none focus:ring-2 focus:ring-neutral-900"
+                title="Zoom"
+              >
+                <option value="width">Fit width</option>
+                <option value="page">Fit page</option>
+                {ZOOM_STEPS.map((z) => (
+                  <option key={z} value={String(z)}>
+                    {z}%
+                  </option>
+                ))}
+              </select>
+              <button type="button" onClick={() => stepZoom(1)} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50" title="Zoom in">
+                +
+              </button>
+              <button type="button" onClick={() => rotateCurrent(-90)} className="ml-1 rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50" title="Rotate page counter-clockwise">
+                ⟲
+              </button>
+              <button type="button" onClick={() => rotateCurrent(90)} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50" title="Rotate page clockwise">
+                ⟳
+              </button>
+            </div>
+            <div className="ml-auto inline-flex items-center gap-2">
+              {regions.length > 1 && (
+                <>
+                  <button type="button" onClick={() => setRegionIndex((i) => (i - 1 + regions.length) % regions.length)} className="px-1 hover:opacity-70" title="Previous region">
+                    ‹
+                  </button>
+                  <span className="tabular-nums">
+                    Region {regionIndex + 1} of {regions.length} · p.{regions[regionIndex]?.page}
+                  </span>
+                  <button type="button" onClick={() => setRegionIndex((i) => (i + 1) % regions.length)} className="px-1 hover:opacity-70" title="Next region">
+                    ›
+                  </button>
+                </>
+              )}
+              {onCoordChange && (
+                <button
+                  type="button"
+                  onClick={() => setEditMode((v) => !v)}
+                  className={"rounded-lg px-2 py-0.5 " + (editMode ? "bg-blue-600 text-white" : "border border-neutral-300 hover:bg-neutral-50")}
+                  title={editMode ? "Finish editing" : regions.length ? "Drag, resize or redraw the box for this field" : "Drag on the page to draw a box for this field"}
+                >
+                  {editMode ? "Done" : regions.length ? "Edit box" : "Draw box"}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="relative flex-1 min-h-0">
+            <div ref={containerRef} className="absolute inset-0 overflow-auto" />
+            {suggestion && onUseText && (
+              <div className="absolute bottom-3 left-3 right-3 z-10 flex items-center gap-2 rounded-xl border border-neutral-200 bg-white/95 px-3 py-2 text-xs shadow-sm">
+                <span className="text-neutral-500 shrink-0">Text in box:</span>
+                <span className="flex-1 truncate font-medium" title={suggestion}>
+                  “{suggestion}”
+                </span>
+                <button
+                  type="button"
+                  onClick={() => {
+                    onUseText(suggestion);
+                    setSuggestion(null);
+                  }}
+                  className="rounded-lg bg-neutral-900 px-2 py-1 text-white"
+                >
+                  Use as value
+                </button>
+                <button type="button" onClick={() => setSuggestion(null)} className="opacity-70 hover:opacity-100" title="Dismiss">
+                  <X size={14} />
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
       )}
     </div>
   );
 }
 
+// ---------- Page thumbnails ----------
+const THUMB_WIDTH = 88;
+
+// Collapsible strip of page thumbnails. Badges count the extracted fields on each page;
+// clicking a thumbnail jumps the viewer, clicking a badge filters the Excel tab.
+function PageThumbnails({
+  doc,
+  pageCounts,
+  activePage,
+  pageFilter,
+  onJump,
+  onFilterPage,
+}: {
+  doc: any;
+  pageCounts: Map<number, number>;
+  activePage: number | null;
+  pageFilter: number | null;
+  onJump: (page: number) => void;
+  onFilterPage: (page: number | null) => void;
+}) {
+  const [open, setOpen] = useState(true);
+  const listRef = useRef<HTMLDivElement | null>(null);
+  const numPages = doc?.numPages || 0;
+
+  // Render thumbnails as they scroll into the strip
+  useEffect(() => {
+    if (!doc || !open || !listRef.current) return;
+    const done = new Set<number>();
+    const io = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          const el = entry.target as HTMLElement;
+          const p = Number(el.dataset.thumb);
+          if (done.has(p)) continue;
+          done.add(p);
+          renderThumb(p, el.querySelector("canvas") as HTMLCanvasElement).catch(console.error);
+        }
+      },
+      { root: listRef.current, rootMargin: "200px 0px" }
+    );
+    listRef.current.querySelectorAll("[data-thumb]").forEach((el) => io.observe(el));
+    return () => io.disconnect();
+  }, [doc, open]);
+
+  async function renderThumb(pageNumber: number, canvas: HTMLCanvasElement | null) {
+    if (!canvas) return;
+    const page = await doc.getPage(pageNumber);
+    const vp0 = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMB_WIDTH / vp0.width });
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext("2d") as any, viewport }).promise;
+  }
+
+  if (!doc) return null;
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="h-full w-6 shrink-0 rounded-lg border border-neutral-200 text-xs text-neutral-500 hover:bg-neutral-50"
+        title="Show page thumbnails"
+      >
+        ›
+      </button>
+    );
+  }
+  return (
+    <div className="flex h-full w-[108px] shrink-0 flex-col">
+      <div className="flex items-center justify-between pb-2 text-xs text-neutral-500">
+        <span>{numPages} pages</span>
+        <button type="button" onClick={() => setOpen(false)} className="px-1 hover:opacity-70" title="Hide page thumbnails">
+          ‹
+        </button>
+      </div>
+      <div ref={listRef} className="flex-1 min-h-0 overflow-auto pr-1 space-y-2">
+        {Array.from({ length: numPages }, (_, i) => i + 1).map((p) => {
+          const count = pageCounts.get(p) || 0;
+          return (
+            <div
+              key={p}
+              data-thumb={p}
+              className={"relative rounded-lg border bg-neutral-100 " + (p === activePage ? "border-neutral-900" : "border-neutral-200")}
+            >
+              <button type="button" onClick={() => onJump(p)} className="block w-full" title={`Go to page ${p}`}>
+                <canvas className="block w-full rounded-lg" style={{ minHeight: 60 }} />
+                <span className="absolute bottom-1 left-1 rounded bg-white/90 px-1 text-[10px] text-neutral-600">{p}</span>
+              </button>
+              {count > 0 && (
+                <button
+                  type="button"
+                  onClick={() => onFilterPage(pageFilter === p ? null : p)}
+                  className={
+                    "absolute right-1 top-1 min-w-[18px] rounded-full px-1.5 text-[10px] font-medium " +
+                    (pageFilter === p ? "bg-neutral-900 text-white" : "bg-amber-400 text-neutral-900 hover:bg-amber-300")
+                  }
+                  title={pageFilter === p ? "Show all fields" : `Show the ${count} field(s) on page ${p}`}
+                >
+                  {count}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // ---------- Virtualized table (dependency-free) ----------
-function VirtualList({ height, itemCount, itemSize, width = "100%", itemData, overscanCount = 6, children: RowComponent }: any) {
+function VirtualList({ height, itemCount, itemSize, width = "100%", itemData, overscanCount = 6, scrollToIndex, children: RowComponent }: any) {
   const containerRef = useRef<HTMLDivElement | null>(null);
   const [scrollTop, setScrollTop] = useState(0);
   const rafRef = useRef<number>(0 as any);
@@ -425,6 +3340,13 @@ function VirtualList({ height, itemCount, itemSize, width = "100%", itemData, ov
     rafRef.current = requestAnimationFrame(() => setScrollTop(containerRef.current ? containerRef.current.scrollTop : 0));
   }, []);
   useEffect(() => () => rafRef.current && cancelAnimationFrame(rafRef.current), []);
+  // Bring a row into view (only scrolls when it is outside the viewport)
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || scrollToIndex == null || scrollToIndex < 0) return;
+    const top = scrollToIndex * itemSize;
+    if (top < el.scrollTop || top + itemSize > el.scrollTop + height) el.scrollTop = top;
+  }, [scrollToIndex, itemSize, height]);
   const totalHeight = itemCount * itemSize;
   const visibleCount = Math.ceil(height / itemSize);
   let startIndex = Math.max(0, Math.floor(scrollTop / itemSize) - overscanCount);
@@ -445,18 +3367,68 @@ const Row = React.memo(function Row({ index, style, data }: any) {
   const f = data.items[index];
   const onFocus = data.onFocus;
   const onChange = data.onChange;
+  const threshold = data.threshold ?? DEFAULT_REVIEW_THRESHOLD;
+  const active = f.id === data.activeFieldId;
+  const check = data.checks?.get(f.id);
+  const pii: PiiMatch | undefined = data.pii?.get(f.id);
+  const masked = !!pii && !data.revealed?.has(f.id);
+  const regionCount = coordRegions(f.coord).length;
+  const pages = coordPages(f.coord);
   return (
-    <div style={style} className="grid grid-cols-[1fr,2fr,64px] items-start gap-3 px-2 border-b last:border-b-0 bg-white">
-      <button className="text-left hover:underline py-2" onClick={() => f.coord && onFocus(f.coord)} title="Highlight on PDF">{f.label}</button>
-      <div className="py-2">
-        <input value={f.value} onChange={(e) => onChange(f.id, e.target.value)} onFocus={() => f.coord && onFocus(f.coord)} className="w-full rounded-xl border border-neutral-300 px-2.5 py-1.5 outline-none focus:ring-2 focus:ring-neutral-900" />
+    <div style={style} className={"relative grid grid-cols-[1fr,2fr,64px,48px] items-start gap-3 pl-3 pr-2 border-b last:border-b-0 " + (active ? "bg-amber-50" : "bg-white")}>
+      <span className={"absolute left-0 top-0 bottom-0 w-1 " + confidenceBand(f.confidence, threshold)} />
+      <div className="py-2 min-w-0">
+        <button className="text-left hover:underline" onClick={() => onFocus(f.id)} title="Highlight on PDF">{f.label}</button>
+        {regionCount > 1 && (
+          <span className="ml-1.5 rounded-full border border-neutral-300 bg-neutral-100 px-1.5 text-[10px] text-neutral-600" title={`${regionCount} regions`}>
+            ×{regionCount}
+          </span>
+        )}
+        {data.changed?.has(f.id) && (
+          <span className="ml-1.5 rounded-full border border-sky-300 bg-sky-50 px-1.5 text-[10px] text-sky-700" title="Corrected by a reviewer; see the Changes tab">
+            edited
+          </span>
+        )}
+        {f.source && <div className="text-[11px] text-neutral-400 truncate" title={f.source}>{f.source}</div>}
+      </div>
+      <div className="py-2 min-w-0">
+        <div className="flex items-center gap-1">
+          <input
+            value={masked ? maskPiiText(f.value, pii) : f.value}
+            readOnly={masked}
+            onChange={(e) => onChange(f.id, e.target.value)}
+            onFocus={() => onFocus(f.id)}
+            title={!masked && check && !check.error && check.value != null ? `${check.type}: ${check.value}` : undefined}
+            className={
+              "w-full min-w-0 rounded-xl border px-2.5 py-1.5 outline-none focus:ring-2 " +
+              (check?.error ? "border-red-400 focus:ring-red-500" : "border-neutral-300 focus:ring-neutral-900") +
+              (masked ? " bg-neutral-50 text-neutral-500" : "")
+            }
+          />
+          {pii && (
+            <button
+              type="button"
+              onClick={() => (masked ? data.onReveal?.(f) : data.onHide?.(f))}
+              className="shrink-0 rounded-lg border border-neutral-300 px-1.5 py-1 text-[11px] hover:bg-neutral-50"
+              title={masked ? `Reveal ${PII_LABELS[pii.kind]} (logged)` : "Mask again"}
+            >
+              {masked ? "Show" : "Hide"}
+            </button>
+          )}
+        </div>
+        {check?.error && <div className="text-[11px] text-red-600 truncate" title={check.error}>{check.error}</div>}
+      </div>
+      <div className={"py-2 tabular-nums " + (isLowConfidence(f, threshold) ? "text-red-600 font-medium" : "text-neutral-500")}>
+        {typeof f.confidence === "number" ? `${Math.round(f.confidence * 100)}%` : "-"}
       </div>
-      <div className="py-2 text-neutral-500">{f.coord?.page ?? "-"}</div>
+      <div className="py-2 text-neutral-500 truncate" title={pages.join(", ")}>{pages.length ? pages.join(",") : "-"}</div>
     </div>
   );
 });
 
 // ---------- Unified Details (Preview + Results) ----------
+type PreviewTab = "excel" | "json" | "xml" | "changes" | "compare";
+
 function UnifiedDetails(props: {
   open: boolean;
   onToggle: () => void;
@@ -468,13 +3440,144 @@ function UnifiedDetails(props: {
   highlight: any;
   // results
   result: { fields: any[] } | null;
-  previewTab: "excel" | "json" | "xml";
-  setPreviewTab: (t: "excel" | "json" | "xml") => void;
+  previewTab: PreviewTab;
+  setPreviewTab: (t: PreviewTab) => void;
   vData: any;
   jsonText: string;
   xmlText: string;
+  // generated XSD for xmlText and the root element name (used for file names)
+  xsdText: string;
+  xmlRoot: string;
+  // in-flight run
+  running?: boolean;
+  onCancel?: () => void;
+  // bbox corrections from the viewer's edit mode
+  onCoordChange?: (coord: any) => void;
+  onUseText?: (text: string) => void;
+  // spreadsheet download of the current result
+  onExport?: (kind: "csv" | "xlsx") => void;
+  // edit history: net changes for the Changes tab, undo/redo for the Excel tab
+  changes?: FieldChange[];
+  onUndo?: () => void;
+  onRedo?: () => void;
+  canUndo?: boolean;
+  canRedo?: boolean;
+  // finished runs for the Compare tab
+  runs?: RunSnapshot[];
+  // PII: how run values are shown in Compare, regions boxed out on the PDF, the access log and
+  // the unmasked-export opt-in (jsonText/xmlText and onExport already follow it)
+  maskRunValue?: (field: any) => string;
+  redact?: any[];
+  piiRole?: ReviewerRole;
+  piiAudit?: PiiAuditEntry[];
+  exportUnmasked?: boolean;
+  canExportUnmasked?: boolean;
+  onExportUnmaskedChange?: (on: boolean) => void;
+  onXmlDownload?: () => void;
+  // file name for the redacted copy
+  documentName?: string;
 }) {
-  const { open, onToggle, title = "Document & Extracted Data", focused, pdfUrl, allowedPages, highlight, result, previewTab, setPreviewTab, vData, jsonText, xmlText } = props;
+  const { open, onToggle, title = "Document & Extracted Data", focused, pdfUrl, allowedPages, highlight, result, previewTab, setPreviewTab, vData, jsonText, xmlText, xsdText, xmlRoot, running, onCancel, onCoordChange, onUseText, onExport, changes = [], onUndo, onRedo, canUndo, canRedo, runs = [] } = props;
+  const { maskRunValue = (f: any) => String(f.value ?? ""), redact, piiRole, piiAudit = [], exportUnmasked = false, canExportUnmasked: canUnmask = false, onExportUnmaskedChange, onXmlDownload, documentName } = props;
+  const [redactOpen, setRedactOpen] = useState(false);
+
+  // Compare tab: two runs aligned field by field; the selected row draws both boxes in the viewer
+  const [compareIds, setCompareIds] = useState<{ a: string; b: string } | null>(null);
+  const [compareKey, setCompareKey] = useState<string | null>(null);
+  const [diffOnly, setDiffOnly] = useState(false);
+  useEffect(() => {
+    // Default to the latest run against the one before it
+    if (runs.length < 2) setCompareIds(null);
+    else if (!compareIds || !runs.some((r) => r.id === compareIds.a) || !runs.some((r) => r.id === compareIds.b)) {
+      setCompareIds({ a: runs[runs.length - 2].id, b: runs[runs.length - 1].id });
+    }
+  }, [runs]);
+  const runA = runs.find((r) => r.id === compareIds?.a);
+  const runB = runs.find((r) => r.id === compareIds?.b);
+  const aligned = useMemo(() => (runA && runB ? alignRuns(runA.fields, runB.fields) : []), [runA, runB]);
+  const alignedRows = useMemo(() => (diffOnly ? aligned.filter((r) => r.status !== "same" || r.coordDiffers) : aligned), [aligned, diffOnly]);
+  const compareRow = previewTab === "compare" ? aligned.find((r) => r.key === compareKey) : undefined;
+  const compareCoords = useMemo(() => (compareRow ? { a: compareRow.a?.coord, b: compareRow.b?.coord } : null), [compareRow]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes while focus is in the Excel tab
+  const onExcelKeyDown = useCallback(
+    (e: React.KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        onUndo?.();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        onRedo?.();
+      }
+    },
+    [onUndo, onRedo]
+  );
+
+  // XML tab: validation against the generated XSD gates the download
+  const [xmlCheck, setXmlCheck] = useState<{ status: "idle" | "checking" | "valid" | "invalid"; errors: string[] }>({ status: "idle", errors: [] });
+  useEffect(() => {
+    setXmlCheck({ status: "idle", errors: [] });
+  }, [xmlText, xsdText]);
+  const validateXml = useCallback(async () => {
+    setXmlCheck({ status: "checking", errors: [] });
+    try {
+      const res = await validateXmlAgainstXsd(xmlText, xsdText, xmlRoot);
+      setXmlCheck({ status: res.valid ? "valid" : "invalid", errors: res.errors });
+      return res.valid;
+    } catch (e) {
+      console.error(e);
+      setXmlCheck({ status: "invalid", errors: ["The XML validator could not be loaded."] });
+      return false;
+    }
+  }, [xmlText, xsdText, xmlRoot]);
+  const downloadXml = useCallback(async () => {
+    if (!(await validateXml())) return;
+    downloadBlob(new Blob([xmlText], { type: "application/xml" }), `${xmlRoot}.xml`);
+    onXmlDownload?.();
+  }, [validateXml, xmlText, xmlRoot, onXmlDownload]);
+
+  // Thumbnail strip: shared pdf.js doc, per-page field counts, jump requests and page filter
+  const [doc, setDoc] = useState<any>(null);
+  const [jumpTo, setJumpTo] = useState<{ page: number; nonce: number } | null>(null);
+  const [pageFilter, setPageFilter] = useState<number | null>(null);
+  const pageCounts = useMemo(() => {
+    const m = new Map<number, number>();
+    for (const f of result?.fields || []) {
+      for (const p of coordPages(f.coord)) if (allowedPages.has(p)) m.set(p, (m.get(p) || 0) + 1);
+    }
+    return m;
+  }, [result, allowedPages]);
+  const activePage = coordRegions(highlight)[0]?.page ?? null;
+  const pageFields = useMemo(
+    () => (pageFilter == null ? vData.items : vData.items.filter((f: any) => coordPages(f.coord).includes(pageFilter))),
+    [vData, pageFilter]
+  );
+
+  // Low-confidence review queue: filters the Excel tab and walks the viewer through each field
+  const [reviewLow, setReviewLow] = useState(false);
+  const [threshold, setThreshold] = useState(DEFAULT_REVIEW_THRESHOLD);
+  const [reviewPos, setReviewPos] = useState(0);
+  const reviewItems = useMemo(() => pageFields.filter((f: any) => isLowConfidence(f, threshold)), [pageFields, threshold]);
+  const rowData = useMemo(
+    () => ({ ...vData, items: reviewLow ? reviewItems : pageFields, threshold }),
+    [vData, reviewLow, reviewItems, pageFields, threshold]
+  );
+  const jumpToReview = useCallback(
+    (pos: number) => {
+      const n = reviewItems.length;
+      if (!n) return;
+      const p = ((pos % n) + n) % n;
+      setReviewPos(p);
+      vData.onFocus(reviewItems[p].id);
+    },
+    [reviewItems, vData]
+  );
+  useEffect(() => {
+    if (reviewLow) jumpToReview(0);
+  }, [reviewLow]);
+
   return (
     <div className="relative overflow-hidden rounded-2xl border border-neutral-200 bg-white shadow-sm">
       {/* Single header controlling BOTH panes */}
@@ -493,8 +3596,49 @@ function UnifiedDetails(props: {
             <div className="text-sm font-medium truncate">{title}</div>
           </div>
         </div>
-        <span className="text-xs text-neutral-500">Press Esc to {open ? "collapse" : "expand"}</span>
+        {running ? (
+          <div className="flex items-center gap-3">
+            <span className="inline-flex items-center gap-1.5 text-xs text-neutral-500">
+              <Loader2 className="animate-spin" size={14} /> Extracting… {result?.fields.length ?? 0} field(s) so far
+            </span>
+            {onCancel && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="inline-flex items-center gap-1 rounded-lg border border-neutral-300 px-2.5 py-1 text-xs hover:bg-neutral-50"
+              >
+                <X size={12} /> Cancel
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="flex items-center gap-3">
+            {pdfUrl && (
+              <button
+                type="button"
+                onClick={() => setRedactOpen(true)}
+                className="rounded-lg border border-neutral-300 px-2.5 py-1 text-xs hover:bg-neutral-50"
+                title="Download a copy of the PDF with field boxes and detected PII blacked out"
+              >
+                Redact PDF
+              </button>
+            )}
+            <span className="text-xs text-neutral-500">Press Esc to {open ? "collapse" : "expand"}</span>
+          </div>
+        )}
       </div>
+      <AnimatePresence>
+        {redactOpen && pdfUrl && (
+          <RedactPdfDialog
+            key="redact-pdf"
+            pdfUrl={pdfUrl}
+            fileName={documentName}
+            fields={result?.fields || []}
+            pii={vData.pii || new Map()}
+            onClose={() => setRedactOpen(false)}
+          />
+        )}
+      </AnimatePresence>
 
       <AnimatePresence initial={false}>
         {open && (
@@ -509,48 +3653,295 @@ function UnifiedDetails(props: {
             {/* Two panes INSIDE one component */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 h-full p-4">
               {/* Left: PDF Preview */}
-              <div className="relative h-full">
-                <PdfJsViewer url={pdfUrl} allowedPages={allowedPages} highlight={highlight} />
+              <div className="relative h-full flex gap-3">
+                <PageThumbnails
+                  doc={pdfUrl ? doc : null}
+                  pageCounts={pageCounts}
+                  activePage={activePage}
+                  pageFilter={pageFilter}
+                  onJump={(page) => setJumpTo({ page, nonce: Date.now() })}
+                  onFilterPage={(page) => {
+                    setPageFilter(page);
+                    if (page != null) setPreviewTab("excel");
+                  }}
+                />
+                <div className="relative flex-1 min-w-0 h-full">
+                  <PdfJsViewer
+                    url={pdfUrl}
+                    allowedPages={allowedPages}
+                    highlight={highlight}
+                    onCoordChange={onCoordChange}
+                    onUseText={onUseText}
+                    onDocument={setDoc}
+                    jumpTo={jumpTo}
+                    compare={compareCoords}
+                    redact={redact}
+                  />
+                </div>
               </div>
 
               {/* Right: Results */}
               <div className="flex h-full min-h-0 flex-col">
                 {/* Tabs */}
-                <div className="px-1 pt-1">
+                <div className="px-1 pt-1 flex items-center justify-between gap-2">
                   <div className="inline-flex rounded-xl border border-neutral-200 overflow-hidden">
                     <TabButton active={previewTab === "excel"} onClick={() => setPreviewTab("excel")} icon={<TableIcon size={14} />}>Excel</TabButton>
                     <TabButton active={previewTab === "json"} onClick={() => setPreviewTab("json")} icon={<CodeIcon size={14} />}>JSON</TabButton>
                     <TabButton active={previewTab === "xml"} onClick={() => setPreviewTab("xml")} icon={<ListIcon size={14} />}>XML</TabButton>
+                    <TabButton active={previewTab === "changes"} onClick={() => setPreviewTab("changes")}>
+                      Changes{changes.length ? ` (${changes.length})` : ""}
+                    </TabButton>
+                    <TabButton active={previewTab === "compare"} onClick={() => setPreviewTab("compare")}>
+                      Compare
+                    </TabButton>
                   </div>
+                  {onExport && (
+                    <div className="inline-flex items-center gap-1 text-xs">
+                      {onExportUnmaskedChange && (
+                        <label
+                          className={"inline-flex items-center gap-1 mr-2 " + (canUnmask ? "" : "opacity-50")}
+                          title={canUnmask ? "Exports and the JSON/XML tabs include full SSN/TIN/account numbers (logged)" : `Your role (${piiRole}) can only export masked values`}
+                        >
+                          <input type="checkbox" checked={exportUnmasked} disabled={!canUnmask} onChange={(e) => onExportUnmaskedChange(e.target.checked)} />
+                          <span className={exportUnmasked ? "text-red-600 font-medium" : "text-neutral-500"}>Unmasked</span>
+                        </label>
+                      )}
+                      <span className="text-neutral-500 mr-1">Export</span>
+                      <button type="button" onClick={() => onExport("csv")} disabled={!result?.fields.length || running} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+                        .csv
+                      </button>
+                      <button type="button" onClick={() => onExport("xlsx")} disabled={!result?.fields.length || running} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+                        .xlsx
+                      </button>
+                    </div>
+                  )}
                 </div>
                 {/* Content */}
                 <div className="p-4 flex-1 min-h-0">
-                  {!result ? (
+                  {previewTab === "compare" ? (
+                    runs.length < 2 || !runA || !runB ? (
+                      <p className="text-sm text-neutral-500">Run the extraction at least twice (e.g. with different prompts or models) to compare runs.</p>
+                    ) : (
+                      <div className="flex h-full min-h-0 flex-col gap-2 text-sm">
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-600">
+                          {(["a", "b"] as const).map((side) => (
+                            <label key={side} className="inline-flex items-center gap-1.5">
+                              <span className={"inline-block w-4 h-4 rounded-full text-center text-[10px] leading-4 text-white " + (side === "a" ? "bg-blue-600" : "bg-fuchsia-600")}>
+                                {side.toUpperCase()}
+                              </span>
+                              <select
+                                value={compareIds![side]}
+                                onChange={(e) => setCompareIds((ids) => ({ ...ids!, [side]: e.target.value }))}
+                                className="rounded-lg border border-neutral-300 bg-white px-1.5 py-1 outline-none focus:ring-2 focus:ring-neutral-900"
+                              >
+                                {runs.map((r) => (
+                                  <option key={r.id} value={r.id}>{runLabel(r)}</option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                          <label className="inline-flex items-center gap-1.5">
+                            <input type="checkbox" checked={diffOnly} onChange={(e) => setDiffOnly(e.target.checked)} />
+                            Differences only
+                          </label>
+                        </div>
+                        <div className="text-xs text-neutral-500">
+                          {aligned.length} field(s) · {aligned.filter((r) => r.status === "changed").length} value diff(s) · {aligned.filter((r) => r.coordDiffers).length} box diff(s) ·{" "}
+                          {aligned.filter((r) => r.status === "only-a").length} only in A · {aligned.filter((r) => r.status === "only-b").length} only in B
+                        </div>
+                        <div className="grid grid-cols-[1fr,1.5fr,1.5fr,64px] gap-3 border-b px-2 py-1.5 text-left text-xs font-medium text-neutral-500">
+                          <div>Field</div>
+                          <div>Run A</div>
+                          <div>Run B</div>
+                          <div>Box</div>
+                        </div>
+                        <div className="flex-1 min-h-0 overflow-auto">
+                          {alignedRows.map((r) => {
+                            const differs = r.status === "changed";
+                            return (
+                              <button
+                                type="button"
+                                key={r.key}
+                                onClick={() => setCompareKey(r.key)}
+                                className={
+                                  "grid w-full grid-cols-[1fr,1.5fr,1.5fr,64px] gap-3 border-b px-2 py-1.5 text-left last:border-b-0 " +
+                                  (r.key === compareKey ? "bg-neutral-100" : "hover:bg-neutral-50")
+                                }
+                              >
+                                <div className="truncate" title={r.label}>{r.label}</div>
+                                <div className={"break-words " + (r.status === "only-b" ? "text-neutral-400 italic" : differs ? "bg-amber-50 text-amber-900 rounded px-1" : "")}>
+                                  {r.a ? maskRunValue(r.a) : "missing"}
+                                </div>
+                                <div className={"break-words " + (r.status === "only-a" ? "text-neutral-400 italic" : differs ? "bg-amber-50 text-amber-900 rounded px-1" : "")}>
+                                  {r.b ? maskRunValue(r.b) : "missing"}
+                                </div>
+                                <div className={"text-xs " + (r.coordDiffers ? "text-sky-700 font-medium" : "text-neutral-400")}>
+                                  {r.coordDiffers ? "moved" : r.a && r.b ? "same" : "-"}
+                                </div>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    )
+                  ) : !result ? (
                     <p className="text-sm text-neutral-500">Run an extraction to populate this view.</p>
                   ) : result.fields.length === 0 ? (
-                    <p className="text-sm text-neutral-500">No fields returned by the extractor.</p>
+                    <p className="text-sm text-neutral-500">{running ? "Waiting for the first field…" : "No fields returned by the extractor."}</p>
                   ) : previewTab === "excel" ? (
-                    <div className="overflow-auto h-full">
-                      <div className="grid grid-cols-[1fr,2fr,64px] text-left text-neutral-500 border-b px-2">
+                    <div className="overflow-auto h-full outline-none" tabIndex={-1} onKeyDown={onExcelKeyDown}>
+                      {vData.missing?.length > 0 && (
+                        <div className="mx-2 mb-2 rounded-xl border border-red-200 bg-red-50 px-3 py-1.5 text-xs text-red-700">
+                          Missing required: {vData.missing.join(", ")}
+                        </div>
+                      )}
+                      <div className="flex flex-wrap items-center gap-3 px-2 pb-2 text-xs text-neutral-600">
+                        {pageFilter != null && (
+                          <span className="inline-flex items-center gap-1 rounded-full border border-neutral-300 bg-neutral-100 px-2 py-0.5">
+                            Page {pageFilter} only
+                            <button type="button" onClick={() => setPageFilter(null)} className="opacity-70 hover:opacity-100" title="Show all pages">
+                              <X size={12} />
+                            </button>
+                          </span>
+                        )}
+                        <span className="inline-flex items-center gap-1">
+                          <button type="button" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50 disabled:opacity-50">
+                            ↶ Undo
+                          </button>
+                          <button type="button" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50 disabled:opacity-50">
+                            ↷ Redo
+                          </button>
+                        </span>
+                        <label className="inline-flex items-center gap-1.5">
+                          <input type="checkbox" checked={reviewLow} onChange={(e) => setReviewLow(e.target.checked)} />
+                          Review low-confidence only
+                        </label>
+                        <label className="inline-flex items-center gap-1.5">
+                          below
+                          <input
+                            type="number"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={threshold}
+                            onChange={(e) => setThreshold(Math.min(1, Math.max(0, Number(e.target.value) || 0)))}
+                            className="w-16 rounded-lg border border-neutral-300 px-1.5 py-0.5 outline-none focus:ring-2 focus:ring-neutral-900"
+                          />
+                        </label>
+                        {reviewLow && (
+                          <div className="inline-flex items-center gap-2">
+                            <button type="button" onClick={() => jumpToReview(reviewPos - 1)} disabled={!reviewItems.length} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50 disabled:opacity-50">
+                              ‹ Prev
+                            </button>
+                            <span className="tabular-nums">{reviewItems.length ? `${Math.min(reviewPos, reviewItems.length - 1) + 1} of ${reviewItems.length}` : "Nothing below threshold"}</span>
+                            <button type="button" onClick={() => jumpToReview(reviewPos + 1)} disabled={!reviewItems.length} className="rounded-lg border border-neutral-300 px-2 py-0.5 hover:bg-neutral-50 disabled:opacity-50">
+                              Next ›
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                      <div className="grid grid-cols-[1fr,2fr,64px,48px] text-left text-neutral-500 border-b pl-3 pr-2">
                         <div className="py-2 pr-3 font-medium">Field</div>
                         <div className="py-2 pr-3 font-medium">Value (click to select)</div>
+                        <div className="py-2 pr-3 font-medium">Conf.</div>
                         <div className="py-2 pr-3 font-medium">Page</div>
                       </div>
                       <VirtualList
                         height={(focused ? 80 : 70) * 8}
-                        itemCount={result.fields.length}
+                        itemCount={rowData.items.length}
                         itemSize={56}
                         width="100%"
-                        itemData={vData}
+                        itemData={rowData}
                         overscanCount={6}
+                        scrollToIndex={reviewLow ? reviewPos : undefined}
                       >
                         {Row}
                       </VirtualList>
                     </div>
                   ) : previewTab === "json" ? (
                     <pre className="text-xs bg-neutral-50 border border-neutral-200 rounded-xl p-3 overflow-auto h-full">{jsonText}</pre>
+                  ) : previewTab === "changes" ? (
+                    <div className="overflow-auto h-full text-sm">
+                      {changes.length === 0 ? (
+                        <p className="text-neutral-500">No corrections yet. Edited values and boxes are listed here against the extractor's original.</p>
+                      ) : (
+                        <>
+                          <div className="grid grid-cols-[1fr,1.5fr,1.5fr,120px] gap-3 border-b px-2 py-2 text-left font-medium text-neutral-500">
+                            <div>Field</div>
+                            <div>Original</div>
+                            <div>Corrected</div>
+                            <div>Last edit</div>
+                          </div>
+                          {changes.map((c) => {
+                            const last = c.edits[c.edits.length - 1];
+                            const field = vData.items.find((f: any) => f.id === c.id);
+                            return (
+                              <div key={`${c.id}:${c.kind}`} className="grid grid-cols-[1fr,1.5fr,1.5fr,120px] gap-3 border-b px-2 py-2 last:border-b-0">
+                                <div className="min-w-0">
+                                  <button type="button" className="text-left hover:underline" onClick={() => field && vData.onFocus(field.id)} title="Highlight on PDF">
+                                    {c.label}
+                                  </button>
+                                  <div className="text-[11px] text-neutral-400">{c.kind === "coord" ? "box" : "value"} · {c.edits.length} edit(s)</div>
+                                </div>
+                                <div className={"break-words text-red-700 line-through decoration-red-300 " + (c.kind === "coord" ? "font-mono text-xs" : "")}>{describeChange(c.kind, c.original) || "(empty)"}</div>
+                                <div className={"break-words text-emerald-700 " + (c.kind === "coord" ? "font-mono text-xs" : "")}>{describeChange(c.kind, c.corrected) || "(empty)"}</div>
+                                <div className="text-xs text-neutral-500 tabular-nums" title={last.at}>{new Date(last.at).toLocaleString()}</div>
+                              </div>
+                            );
+                          })}
+                        </>
+                      )}
+                      {piiAudit.length > 0 && (
+                        <div className="mt-6">
+                          <div className="mb-1 px-2 text-xs font-medium text-neutral-500">PII access log{piiRole ? ` · you are signed in as ${piiRole}` : ""}</div>
+                          {piiAudit
+                            .slice()
+                            .reverse()
+                            .map((a, i) => (
+                              <div key={i} className="grid grid-cols-[140px,80px,1fr] gap-3 border-b px-2 py-1 text-xs last:border-b-0">
+                                <div className="text-neutral-500 tabular-nums" title={a.at}>{new Date(a.at).toLocaleString()}</div>
+                                <div className="text-neutral-500">{a.role}</div>
+                                <div className={a.action === "reveal-denied" || a.action.includes("unmask") ? "text-red-700" : ""}>
+                                  {a.action}
+                                  {a.label ? ` · ${a.label}` : ""}
+                                  {a.kind ? ` (${PII_LABELS[a.kind]})` : ""}
+                                  {a.detail ? ` · ${a.detail}` : ""}
+                                </div>
+                              </div>
+                            ))}
+                        </div>
+                      )}
+                    </div>
                   ) : (
-                    <pre className="text-xs bg-neutral-50 border border-neutral-200 rounded-xl p-3 overflow-auto h-full">{xmlText}</pre>
+                    <div className="flex h-full min-h-0 flex-col gap-2">
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-600">
+                        <span className="font-mono">{xmlRoot}</span>
+                        <button type="button" onClick={validateXml} disabled={running || xmlCheck.status === "checking"} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+                          Validate
+                        </button>
+                        <button type="button" onClick={downloadXml} disabled={running || xmlCheck.status === "checking"} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50 disabled:opacity-50">
+                          Download .xml
+                        </button>
+                        <button type="button" onClick={() => downloadBlob(new Blob([xsdText], { type: "application/xml" }), `${xmlRoot}.xsd`)} className="rounded-lg border border-neutral-300 px-2 py-1 hover:bg-neutral-50">
+                          Download .xsd
+                        </button>
+                        {xmlCheck.status === "checking" && (
+                          <span className="inline-flex items-center gap-1 text-neutral-500">
+                            <Loader2 className="animate-spin" size={12} /> Validating…
+                          </span>
+                        )}
+                        {xmlCheck.status === "valid" && <span className="text-emerald-700">Valid against {xmlRoot}.xsd</span>}
+                        {xmlCheck.status === "invalid" && <span className="text-red-600">{xmlCheck.errors.length || 1} schema error(s), fix them before downloading</span>}
+                      </div>
+                      {xmlCheck.status === "invalid" && xmlCheck.errors.length > 0 && (
+                        <ul className="max-h-28 overflow-auto rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-[11px] text-red-700 space-y-0.5">
+                          {xmlCheck.errors.map((e, i) => (
+                            <li key={i} className="font-mono">{e}</li>
+                          ))}
+                        </ul>
+                      )}
+                      <pre className="text-xs bg-neutral-50 border border-neutral-200 rounded-xl p-3 overflow-auto flex-1 min-h-0">{xmlText}</pre>
+                    </div>
                   )}
                 </div>
               </div>
@@ -563,8 +3954,14 @@ function UnifiedDetails(props: {
 }
 
 // ---------- Main component ----------
-export default function BankDocsPlaygroundUnified() {
+export default function BankDocsPlaygroundUnified({
+  provider = mockProvider,
+  classifier = keywordClassifier,
+  piiRole = "reviewer",
+  models = DEFAULT_MODEL_REGISTRY,
+}: { provider?: ExtractionProvider; classifier?: FormClassifier; piiRole?: ReviewerRole; models?: ModelInfo[] | string } = {}) {
   const [selectedForm, setSelectedForm] = useState(FORMS[0].value);
+  const formSchema = useMemo(() => FORMS.find((f) => f.value === selectedForm)?.schema || [], [selectedForm]);
 
   // Prompts state
   const libraryPrompts = useMemo(() => PROMPT_LIBRARY[selectedForm] || [], [selectedForm]);
@@ -577,17 +3974,70 @@ export default function BankDocsPlaygroundUnified() {
   const [promptSetName, setPromptSetName] = useState("");
   const [customModel, setCustomModel] = useState("gpt-4o-mini");
   const [customSystem, setCustomSystem] = useState("");
-  const [fieldNames, setFieldNames] = useState<string[]>([]);
+  const [fieldSchema, setFieldSchema] = useState<FieldDef[]>([]);
+
+  // Library + custom mix: which config each prompt runs with (per-prompt overrides keyed by prompt text)
+  const [mixPolicy, setMixPolicy] = useState<MixPolicy>("form-defaults");
+  const [promptConfigs, setPromptConfigs] = useState<Record<string, RunConfig>>({});
 
   // Results / UI
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState<{ fields: any[] } | null>(null);
-  const [activeCoord, setActiveCoord] = useState<any>(null);
+  // The field highlighted in the viewer, by id: a field without a box can be selected too, and boxed
+  const [activeFieldId, setActiveFieldId] = useState<string | null>(null);
+  const activeCoord = useMemo(() => result?.fields.find((f) => f.id === activeFieldId)?.coord ?? null, [result, activeFieldId]);
+  // Schema the current result is validated against (form default or the custom one used for the run)
+  const [resultSchema, setResultSchema] = useState<FieldDef[]>([]);
+  const [runMeta, setRunMeta] = useState<RunMeta | null>(null);
+  // Immutable log of everything sent to the extractor (Runs drawer); PDFs kept by record id for re-runs
+  const [runRecords, setRunRecords] = useState<RunRecord[]>([]);
+  const [runsOpen, setRunsOpen] = useState(false);
+  const runRecordSeqRef = useRef(0);
+  const runPdfsRef = useRef(new Map<string, File | null>());
+  useEffect(() => {
+    const ids = new Set(runRecords.map((r) => r.id));
+    for (const id of Array.from(runPdfsRef.current.keys())) if (!ids.has(id)) runPdfsRef.current.delete(id);
+  }, [runRecords]);
+  // Batch mode: queued documents, and the one currently opened in the review view
+  const [batch, setBatch] = useState<BatchDoc[]>([]);
+  const [batchRunning, setBatchRunning] = useState(false);
+  const [batchConcurrency, setBatchConcurrency] = useState(2);
+  const [openBatchId, setOpenBatchId] = useState<string | null>(null);
+  const batchAbortRef = useRef<AbortController | null>(null);
+  const openedBatchDoc = batch.find((d) => d.id === openBatchId);
+  const [edits, setEdits] = useState<EditEntry[]>([]);
+  const [redoStack, setRedoStack] = useState<EditEntry[]>([]);
+  const resetHistory = useCallback(() => {
+    setEdits([]);
+    setRedoStack([]);
+  }, []);
+
+  // Streaming runs append fields as they arrive; the controller lets Cancel abort the run.
+  const [streamMode, setStreamMode] = useState(!!provider.stream);
+  const abortRef = useRef<AbortController | null>(null);
 
   const [pdfUrl, setPdfUrl] = useState<string | null>(null);
+  const [pdfFile, setPdfFile] = useState<File | null>(null);
+  // Key of the open PDF (null while hashing); Compare only offers runs on this document and form
+  const [openDocument, setOpenDocument] = useState<string | null>("");
+  useEffect(() => {
+    let cancelled = false;
+    setOpenDocument(pdfFile ? null : "");
+    if (pdfFile) documentKey(pdfFile).then((k) => !cancelled && setOpenDocument(k), console.error);
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfFile]);
+  const compareRuns = useMemo(
+    () =>
+      runRecords
+        .filter((r) => r.status === "done" && recordDocumentKey(r) === openDocument && r.meta.form === selectedForm)
+        .map(recordSnapshot),
+    [runRecords, openDocument, selectedForm]
+  );
 
   // Preview tabs (for results)
-  const [previewTab, setPreviewTab] = useState<"excel" | "json" | "xml">("excel");
+  const [previewTab, setPreviewTab] = useState<PreviewTab>("excel");
 
   // Unified details open/close
   const [detailsOpen, setDetailsOpen] = useState(false);
@@ -598,23 +4048,104 @@ export default function BankDocsPlaygroundUnified() {
   // optimization: transition for input edits
   const [isPending, startTransition] = useTransition();
 
-  // Reset relevant state when form changes
+  // Reset relevant state when form changes (unless a restored session is setting the form)
+  const skipFormResetRef = useRef(false);
+  // Library prompts to select instead of the form's first one (set by classification)
+  const presetPromptsRef = useRef<string[] | null>(null);
   useEffect(() => {
-    setSelectedLibraryPrompts(new Set(PROMPT_LIBRARY[selectedForm]?.[0] ? [PROMPT_LIBRARY[selectedForm][0]] : []));
+    if (skipFormResetRef.current) {
+      skipFormResetRef.current = false;
+      return;
+    }
+    const preset = presetPromptsRef.current;
+    presetPromptsRef.current = null;
+    setSelectedLibraryPrompts(new Set(preset ?? (PROMPT_LIBRARY[selectedForm]?.[0] ? [PROMPT_LIBRARY[selectedForm][0]] : [])));
     setPromptSetName("");
+    setPromptSetNotice(null);
     setCustomModel("gpt-4o-mini");
     setCustomSystem("");
-    setFieldNames([]);
+    setFieldSchema([]);
     setResult(null);
-    setActiveCoord(null);
+    setRunMeta(null);
+    setOpenBatchId(null);
+    resetHistory();
+    setActiveFieldId(null);
   }, [selectedForm]);
 
+  // Form classification of the uploaded PDF (`result` null = no form recognized)
+  const [classification, setClassification] = useState<{ result: FormClassification | null; classifier: string } | null>(null);
+  const [classifying, setClassifying] = useState(false);
+  const [mismatchDismissed, setMismatchDismissed] = useState(false);
+  const classifySeqRef = useRef(0);
+  const selectedFormRef = useRef(selectedForm);
+  selectedFormRef.current = selectedForm;
+  // Whether a classification may preselect: kept current below, read when the classifier resolves
+  const autoApplyRef = useRef(true);
+
+  // Select a form together with all of its library prompts
+  const applyClassifiedForm = useCallback((form: string) => {
+    const prompts = PROMPT_LIBRARY[form] || [];
+    if (form === selectedFormRef.current) {
+      setSelectedLibraryPrompts(new Set(prompts));
+    } else {
+      presetPromptsRef.current = prompts;
+      setSelectedForm(form);
+    }
+  }, []);
+
+  const classifyPdf = useCallback(
+    async (file: File) => {
+      const seq = ++classifySeqRef.current;
+      setClassification(null);
+      setMismatchDismissed(false);
+      setClassifying(true);
+      try {
+        const res = await classifier.classify({ pdf: file, text: () => pdfText(file) });
+        if (seq !== classifySeqRef.current) return;
+        setClassification({ result: res, classifier: classifier.name });
+        // Preselecting resets the setup, so it only happens while nothing is configured or running;
+        // otherwise the detection line and the mismatch banner let the reviewer switch
+        if (res && res.confidence >= CLASSIFY_AUTOSELECT && FORMS.some((f) => f.value === res.form) && autoApplyRef.current) {
+          applyClassifiedForm(res.form);
+        }
+      } catch (e) {
+        console.error(e);
+        if (seq === classifySeqRef.current) setClassification(null);
+      } finally {
+        if (seq === classifySeqRef.current) setClassifying(false);
+      }
+    },
+    [classifier, applyClassifiedForm]
+  );
+  // Drop a pending/finished classification when the PDF comes from elsewhere (session, batch)
+  const clearClassification = useCallback(() => {
+    classifySeqRef.current++;
+    setClassification(null);
+    setClassifying(false);
+  }, []);
+  const detectedForm = classification?.result;
+  const formMismatch = !!detectedForm && detectedForm.form !== selectedForm && !mismatchDismissed;
+
   const selectedCustomPrompts = useMemo(
     () => customList.filter((c) => selectedCustomIds.has(c.id)).map((c) => c.text),
     [customList, selectedCustomIds]
   );
   const onlyCustom = selectedLibraryPrompts.size === 0 && selectedCustomPrompts.length > 0;
   const mixSelected = selectedLibraryPrompts.size > 0 && selectedCustomPrompts.length > 0;
+  // Classification may preselect only while the setup is untouched (at most the form's default library
+  // prompt, no custom prompts or config, no result) and no run is in progress
+  const defaultLibraryPrompt = PROMPT_LIBRARY[selectedForm]?.[0];
+  autoApplyRef.current =
+    !loading &&
+    !batchRunning &&
+    !result &&
+    !edits.length &&
+    !selectedCustomPrompts.length &&
+    !promptSetName &&
+    !customSystem &&
+    customModel === "gpt-4o-mini" &&
+    !fieldSchema.length &&
+    Array.from(selectedLibraryPrompts).every((p) => p === defaultLibraryPrompt);
 
   const toggleLibraryPrompt = useCallback((p: string) => {
     setSelectedLibraryPrompts((prev) => {
@@ -652,79 +4183,842 @@ export default function BankDocsPlaygroundUnified() {
     });
   }, []);
 
-  const runExtraction = useCallback(async () => {
-    setLoading(true);
-    try {
-      const promptsToRun = [...Array.from(selectedLibraryPrompts), ...selectedCustomPrompts];
-      let config: any = undefined;
-      let fieldsHint: any = undefined;
-      let nameMeta: any = undefined;
-
-      if (onlyCustom) {
-        config = { model: customModel, system: customSystem };
-        fieldsHint = fieldNames.length ? fieldNames : undefined;
-        nameMeta = promptSetName || undefined;
-      } else {
-        const def = DEFAULT_CONFIGS[selectedForm];
-        config = def ? { ...def } : undefined;
-      }
+  // Saved prompt sets (all forms; the pickers show the current form's)
+  const [promptSets, setPromptSets] = useState<PromptSet[]>([]);
+  const [promptSetNotice, setPromptSetNotice] = useState<string | null>(null);
+  const promptSetsReadyRef = useRef(false);
+  useEffect(() => {
+    loadPromptSets()
+      .then((sets) => sets && setPromptSets(sets))
+      .catch((e) => console.error(e))
+      .finally(() => (promptSetsReadyRef.current = true));
+  }, []);
+  useEffect(() => {
+    if (promptSetsReadyRef.current) savePromptSets(promptSets).catch((e) => console.error(e));
+  }, [promptSets]);
+  const formPromptSets = useMemo(() => promptSets.filter((s) => s.form === selectedForm), [promptSets, selectedForm]);
+  const customConfig = useMemo<PromptSetConfig>(
+    () => ({ prompts: selectedCustomPrompts, model: customModel, system: customSystem, fieldSchema }),
+    [selectedCustomPrompts, customModel, customSystem, fieldSchema]
+  );
+  // The saved version the current custom setup matches exactly, if any
+  const activePromptSet = useMemo(() => {
+    const set = onlyCustom ? formPromptSets.find((s) => s.name === promptSetName.trim()) : undefined;
+    const v = set?.versions.find((x) => sameConfig(x, customConfig));
+    return set && v ? { set, version: v.version } : null;
+  }, [onlyCustom, formPromptSets, promptSetName, customConfig]);
+
+  const saveCurrentPromptSet = useCallback(() => {
+    const name = promptSetName.trim();
+    if (!name) return alert("Give the prompt set a name first.");
+    const res = addPromptSetVersion(promptSets, selectedForm, name, customConfig);
+    setPromptSets(res.sets);
+    setPromptSetNotice(res.added ? `Saved "${name}" as v${res.version}` : `"${name}" v${res.version} already has this setup`);
+  }, [promptSetName, promptSets, selectedForm, customConfig]);
+
+  const loadPromptSet = useCallback(
+    (set: PromptSet, version?: number) => {
+      const v = set.versions.find((x) => x.version === version) || latestVersion(set);
+      const items = v.prompts.map((text) => customList.find((c) => c.text === text) || { id: uid("cust"), text });
+      setCustomList((prev) => [...items.filter((i) => !prev.includes(i)), ...prev]);
+      setSelectedCustomIds(new Set(items.map((i) => i.id)));
+      setSelectedLibraryPrompts(new Set());
+      setPromptSetName(set.name);
+      setCustomModel(v.model);
+      setCustomSystem(v.system);
+      setFieldSchema(v.fieldSchema);
+      setPromptSetNotice(`Loaded "${set.name}" v${v.version}`);
+    },
+    [customList]
+  );
+
+  const importPromptSets = useCallback(
+    (incoming: PromptSet[], origin: string) => {
+      const res = mergePromptSets(promptSets, incoming);
+      setPromptSets(res.sets);
+      setPromptSetNotice(`${res.added} new version(s) from ${origin}`);
+    },
+    [promptSets]
+  );
+
+  const exportPromptSets = useCallback(() => {
+    downloadBlob(new Blob([promptSetsToFileText(promptSets)], { type: "application/json" }), "prompt-sets.json");
+  }, [promptSets]);
+
+  // Prompt templates: page count and fiscal year come from the PDF (the year can be overridden)
+  const [docFacts, setDocFacts] = useState<DocumentFacts | null>(null);
+  const [docFactsFailed, setDocFactsFailed] = useState(false);
+  const [fiscalYearInput, setFiscalYearInput] = useState("");
+  useEffect(() => {
+    setDocFacts(null);
+    setDocFactsFailed(false);
+    if (!pdfFile) return;
+    let cancelled = false;
+    documentFacts(pdfFile)
+      .then((facts) => !cancelled && setDocFacts(facts))
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setDocFactsFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfFile]);
+  const buildTemplateContext = useCallback(
+    (facts: DocumentFacts | null): TemplateContext => ({
+      form: selectedForm,
+      formLabel: FORMS.find((f) => f.value === selectedForm)?.label || selectedForm,
+      fieldNames: (onlyCustom && fieldSchema.length ? fieldSchema : formSchema).map((d) => d.name),
+      pageCount: facts?.pageCount ?? null,
+      fiscalYear: fiscalYearInput.trim() || facts?.fiscalYear || null,
+    }),
+    [selectedForm, onlyCustom, fieldSchema, formSchema, fiscalYearInput]
+  );
+  const templateContext = useMemo(() => buildTemplateContext(docFacts), [buildTemplateContext, docFacts]);
+  const selectedTemplates = useMemo(
+    () => [...Array.from(selectedLibraryPrompts), ...selectedCustomPrompts].filter(isTemplate),
+    [selectedLibraryPrompts, selectedCustomPrompts]
+  );
+  const templatePreview = useMemo(
+    () => selectedTemplates.map((t) => ({ template: t, rendered: renderTemplate(t, templateContext), errors: checkTemplate(t, templateContext) })),
+    [selectedTemplates, templateContext]
+  );
+  const templatesInvalid = templatePreview.some((p) => p.errors.length > 0);
+  // Batch documents bring their own page count and year, so only the template text itself is checked up front
+  const templatesMalformed = useMemo(
+    () => selectedTemplates.some((t) => checkTemplate(t, { ...templateContext, pageCount: 1, fiscalYear: "2000" }).length > 0),
+    [selectedTemplates, templateContext]
+  );
+
+  // Model registry: drives the model picker, blocks models too small for the document, prices the run
+  const [modelRegistry, setModelRegistry] = useState<ModelInfo[]>(Array.isArray(models) ? models : DEFAULT_MODEL_REGISTRY);
+  const [registryNotice, setRegistryNotice] = useState<string | null>(null);
+  useEffect(() => {
+    if (typeof models !== "string") {
+      setModelRegistry(models);
+      return;
+    }
+    let cancelled = false;
+    fetch(models, { headers: { Accept: "application/json" } })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((raw) => !cancelled && setModelRegistry(modelRegistryFromJson(raw)))
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setRegistryNotice(`Model registry unavailable (${models}); using the built-in list.`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [models]);
+  // Library prompts default to the form's config, custom prompts to the custom one
+  const defaultConfig = DEFAULT_CONFIGS[selectedForm];
+  const promptConfig = useCallback(
+    (t: string): RunConfig =>
+      promptConfigs[t] || (selectedLibraryPrompts.has(t) && defaultConfig ? defaultConfig : { model: customModel, system: customSystem }),
+    [promptConfigs, selectedLibraryPrompts, defaultConfig, customModel, customSystem]
+  );
+  const setPromptConfig = useCallback(
+    (t: string, patch: Partial<RunConfig>) => setPromptConfigs((prev) => ({ ...prev, [t]: { ...promptConfig(t), ...patch } })),
+    [promptConfig]
+  );
+
+  // Selected prompt templates grouped by the config they run with; one request per group
+  const runGroups = useMemo((): PromptGroup[] => {
+    const templates = [...Array.from(selectedLibraryPrompts), ...selectedCustomPrompts];
+    if (onlyCustom || (mixSelected && mixPolicy === "custom-override")) return [{ config: { model: customModel, system: customSystem }, templates }];
+    if (mixSelected && mixPolicy === "per-prompt") return groupPrompts(templates, promptConfig);
+    return [{ config: defaultConfig ? { ...defaultConfig } : undefined, templates }];
+  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, mixSelected, mixPolicy, customModel, customSystem, promptConfig, defaultConfig]);
+
+  // Every group sends the whole document, so tokens and cost add up across groups
+  const groupEstimates = useMemo(
+    () =>
+      runGroups.map((g) => {
+        const model = modelRegistry.find((m) => m.id === g.config?.model);
+        const prompts = g.templates.map((t) => renderTemplate(t, templateContext));
+        const estimate = estimateRun(docFacts, prompts, g.config?.system || "", templateContext.fieldNames.length);
+        return { estimate, blocked: modelFit(model, estimate), cost: runCost(model, estimate) };
+      }),
+    [runGroups, modelRegistry, docFacts, templateContext]
+  );
+  const runEstimate = useMemo(
+    (): RunEstimate => ({
+      inputTokens: groupEstimates.reduce((n, g) => n + g.estimate.inputTokens, 0),
+      outputTokens: groupEstimates.reduce((n, g) => n + g.estimate.outputTokens, 0),
+      needsImages: groupEstimates.some((g) => g.estimate.needsImages),
+    }),
+    [groupEstimates]
+  );
+  const blockedGroup = groupEstimates.findIndex((g) => g.blocked);
+  const modelBlocked = blockedGroup >= 0 ? groupEstimates[blockedGroup].blocked : null;
+  const runModelId =
+    blockedGroup >= 0
+      ? runGroups[blockedGroup].config?.model
+      : Array.from(new Set(runGroups.map((g) => g.config?.model).filter(Boolean))).join(" + ");
+  const estimatedCost = groupEstimates.length && groupEstimates.every((g) => g.cost != null) ? groupEstimates.reduce((n, g) => n + (g.cost || 0), 0) : null;
+  // Until the uploaded PDF has been read the estimate has no document tokens, so nothing could be blocked yet
+  const estimatePending = !!pdfFile && !docFacts && !docFactsFailed;
+
+  // Requests (minus the PDF), run metadata and validation schema for the current selections.
+  // Shared by single runs and batch runs.
+  const prepareRun = useCallback((facts: DocumentFacts | null = docFacts) => {
+    const templates = runGroups.flatMap((g) => g.templates);
+    const ctx = buildTemplateContext(facts);
+    const problems = templates.flatMap((t) => checkTemplate(t, ctx));
+    if (problems.length) throw new Error(`Prompt templates: ${Array.from(new Set(problems)).join("; ")}`);
+    const groups: RunGroup[] = runGroups.map((g) => ({ ...g, prompts: g.templates.map((t) => renderTemplate(t, ctx)) }));
+    const promptsToRun = groups.flatMap((g) => g.prompts);
+    // Run metadata names a single config directly; several are listed in configGroups
+    const config = groups.length === 1 ? groups[0].config : undefined;
+    let schemaHint: FieldDef[] | undefined = undefined;
+    let nameMeta: any = undefined;
+
+    if (onlyCustom) {
+      schemaHint = fieldSchema.length ? fieldSchema : undefined;
+      nameMeta = promptSetName || undefined;
+    }
 
-      const payload = await mockExtract({
+    const requests = groupRequests(
+      {
         form: selectedForm,
-        prompts: promptsToRun,
-        pdfBlob: null,
-        config,
-        fieldNames: fieldsHint,
+        fieldNames: schemaHint?.map((d) => d.name),
+        schema: schemaHint,
         promptSetName: nameMeta,
+        promptSetVersion: nameMeta ? activePromptSet?.version : undefined,
+        hadLibraryPrompts: selectedLibraryPrompts.size > 0,
+        mixPolicy: mixSelected ? mixPolicy : undefined,
+      },
+      groups
+    );
+    const meta: RunMeta = {
+      form: selectedForm,
+      formLabel: FORMS.find((f) => f.value === selectedForm)?.label,
+      prompts: promptsToRun,
+      model: config ? config.model : Array.from(new Set(groups.map((g) => g.config?.model).filter(Boolean))).join(", ") || undefined,
+      system: config?.system || undefined,
+      promptSetName: nameMeta,
+      promptSetVersion: requests[0]?.promptSetVersion,
+      mixPolicy: mixSelected ? mixPolicy : undefined,
+      configGroups:
+        groups.length > 1
+          ? groups.map((g, i) => ({ label: groupLabel(groups, i), model: g.config?.model, system: g.config?.system || undefined, prompts: g.prompts }))
+          : undefined,
+      provider: provider.name,
+      timestamp: new Date().toISOString(),
+    };
+    return { requests, meta, schema: schemaHint || formSchema };
+  }, [docFacts, runGroups, buildTemplateContext, selectedLibraryPrompts, onlyCustom, fieldSchema, formSchema, promptSetName, activePromptSet, selectedForm, mixSelected, mixPolicy, provider]);
+
+  // Records are logged once the hashes are in; the PDF is kept by record id for exact re-runs
+  const logRun = useCallback(async (run: Omit<RunRecord, "n" | "pdf" | "responseSha256">, pdf: File | null) => {
+    try {
+      const [pdfSha, responseSha] = await Promise.all([pdf ? pdfHash(pdf) : "", sha256Hex(JSON.stringify(run.responses))]);
+      const record = freezeRunRecord({
+        ...run,
+        n: ++runRecordSeqRef.current,
+        pdf: pdf ? { name: pdf.name, size: pdf.size, sha256: pdfSha } : null,
+        responseSha256: responseSha,
       });
+      runPdfsRef.current.set(record.id, pdf);
+      setRunRecords((prev) => [...prev, record].slice(-MAX_RUN_RECORDS));
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
 
-      const stabilized = payload.fields.map((f: any) => ({ ...f, id: f.id || uid("field") }));
-      setResult({ fields: stabilized });
-      if (stabilized[0]?.coord) setActiveCoord(stabilized[0].coord);
-      setPreviewTab("excel");
+  // Sends the requests, fills the review view and logs the run. Shared by Run and by re-running a record.
+  const executeRun = useCallback(
+    async (
+      setup: { requests: ExtractRequest[]; meta: RunMeta; schema: FieldDef[] },
+      pdf: File | null,
+      { stream, rerunOf }: { stream: boolean; rerunOf?: string }
+    ) => {
+      const controller = new AbortController();
+      abortRef.current = controller;
+      setLoading(true);
+      const streaming = stream && !!provider.stream;
+      const at = new Date().toISOString();
+      const meta: RunMeta = { ...setup.meta, provider: provider.name, timestamp: at, runId: uid("run") };
+      const responses: ExtractPayload[] = [];
+      const opts = { pdfBlob: pdf, signal: controller.signal, responses };
+      let error: string | undefined;
+      const started = performance.now();
+      // The run's metadata (and so its record in exports) replaces the old one only together with its fields
+      const showRun = (fields: any[]) => {
+        setResultSchema(setup.schema);
+        resetHistory();
+        setOpenBatchId(null);
+        setRunMeta(meta);
+        setResult({ fields });
+      };
+      try {
+        if (streaming) {
+          // Open the workspace right away and append fields as they arrive.
+          showRun([]);
+          setActiveFieldId(null);
+          setPreviewTab("excel");
+          setFocused(true);
+          setDetailsOpen(true);
+          let first = true;
+          await extractGrouped(provider, setup.requests, {
+            ...opts,
+            onField: (field) => {
+              setResult((prev) => ({ fields: [...(prev?.fields || []), field] }));
+              if (first && field.coord) {
+                first = false;
+                setActiveFieldId(field.id);
+              }
+            },
+          });
+          return;
+        }
 
-      // Enter focused workspace and OPEN the unified details
-      setFocused(true);
-      setDetailsOpen(true);
+        const stabilized = await extractGrouped(provider, setup.requests, opts);
+        // Providers that ignore the signal still resolve; a cancelled run must not replace the result
+        if (controller.signal.aborted) return;
+        showRun(stabilized);
+        if (stabilized[0]?.coord) setActiveFieldId(stabilized[0].id);
+        setPreviewTab("excel");
+
+        // Enter focused workspace and OPEN the unified details
+        setFocused(true);
+        setDetailsOpen(true);
+      } catch (err: any) {
+        // A cancelled run keeps whatever fields already streamed in.
+        if (controller.signal.aborted) return;
+        error = err?.message || String(err);
+        console.error(err);
+        alert("Extraction failed. Check console for details.");
+      } finally {
+        if (abortRef.current === controller) abortRef.current = null;
+        setLoading(false);
+        logRun(
+          {
+            id: meta.runId!,
+            at,
+            provider: provider.name,
+            stream: streaming,
+            requests: setup.requests,
+            meta,
+            latencyMs: Math.round(performance.now() - started),
+            status: controller.signal.aborted ? "cancelled" : error ? "error" : "done",
+            error,
+            responses,
+            rerunOf,
+          },
+          pdf
+        );
+      }
+    },
+    [provider, resetHistory, logRun]
+  );
+
+  const runExtraction = useCallback(() => {
+    let setup: ReturnType<typeof prepareRun>;
+    try {
+      setup = prepareRun();
+    } catch (err) {
+      console.error(err);
+      alert("Extraction failed. Check console for details.");
+      return;
+    }
+    executeRun(setup, pdfFile, { stream: streamMode });
+  }, [prepareRun, executeRun, pdfFile, streamMode]);
+
+  // Replays a record's requests as-is against the PDF it was run on, whatever the current selections
+  const rerunRecord = useCallback(
+    (record: RunRecord) => {
+      const pdf = runPdfsRef.current.get(record.id) ?? null;
+      if (record.pdf && !pdf) {
+        alert("The PDF for this run is no longer available.");
+        return;
+      }
+      abortRef.current?.abort();
+      if (pdf && pdf !== pdfFile) {
+        clearClassification();
+        setPdfFile(pdf);
+        setPdfUrl(URL.createObjectURL(pdf));
+      }
+      setRunsOpen(false);
+      executeRun({ requests: record.requests, meta: record.meta, schema: recordSchema(record) }, pdf, { stream: record.stream, rerunOf: record.id });
+    },
+    [pdfFile, clearClassification, executeRun]
+  );
+
+  const patchBatchDoc = useCallback((id: string, patch: Partial<BatchDoc>) => {
+    setBatch((prev) => prev.map((d) => (d.id === id ? { ...d, ...patch } : d)));
+  }, []);
+
+  const runBatch = useCallback(async () => {
+    const controller = new AbortController();
+    batchAbortRef.current = controller;
+    setBatchRunning(true);
+    try {
+      // Templated prompts are rendered per document (page count, fiscal year)
+      const shared = selectedTemplates.length ? null : prepareRun();
+      const todo = batch.filter((d) => d.status !== "done");
+      setBatch((prev) => prev.map((d): BatchDoc => (d.status !== "done" ? { ...d, status: "queued", error: undefined, startedAt: undefined, finishedAt: undefined } : d)));
+      await runQueue(
+        todo,
+        batchConcurrency,
+        async (doc) => {
+          patchBatchDoc(doc.id, { status: "running", startedAt: Date.now() });
+          try {
+            const setup = shared || prepareRun(await documentFacts(doc.file));
+            const fields = await extractGrouped(provider, setup.requests, { pdfBlob: doc.file, signal: controller.signal });
+            const meta = { ...setup.meta, document: doc.file.name, timestamp: new Date().toISOString() };
+            patchBatchDoc(doc.id, { status: "done", fields, schema: setup.schema, meta, finishedAt: Date.now() });
+          } catch (err: any) {
+            if (controller.signal.aborted) patchBatchDoc(doc.id, { status: "cancelled", finishedAt: Date.now() });
+            else {
+              console.error(err);
+              patchBatchDoc(doc.id, { status: "error", error: err?.message || String(err), finishedAt: Date.now() });
+            }
+          }
+        },
+        controller.signal
+      );
+      // Documents the queue never reached
+      if (controller.signal.aborted) setBatch((prev) => prev.map((d): BatchDoc => (d.status === "queued" ? { ...d, status: "cancelled" } : d)));
     } catch (err) {
+      // Setup errors (e.g. prompt templates); per-document failures are recorded on the document
       console.error(err);
       alert("Extraction failed. Check console for details.");
     } finally {
-      setLoading(false);
+      if (batchAbortRef.current === controller) batchAbortRef.current = null;
+      setBatchRunning(false);
     }
-  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, customModel, customSystem, fieldNames, promptSetName, selectedForm]);
+  }, [prepareRun, selectedTemplates, batch, batchConcurrency, provider, patchBatchDoc]);
+
+  // Load a finished batch document into the review view; edits there flow back into the batch
+  const openBatchDoc = useCallback(
+    (doc: BatchDoc) => {
+      if (!doc.fields) return;
+      abortRef.current?.abort();
+      clearClassification();
+      setPdfFile(doc.file);
+      setPdfUrl(URL.createObjectURL(doc.file));
+      setResult({ fields: doc.fields });
+      setResultSchema(doc.schema || formSchema);
+      setRunMeta(doc.meta || null);
+      resetHistory();
+      setActiveFieldId(doc.fields.find((f) => f.coord)?.id ?? null);
+      setOpenBatchId(doc.id);
+      setPreviewTab("excel");
+      setFocused(true);
+      setDetailsOpen(true);
+    },
+    [formSchema, resetHistory, clearClassification]
+  );
+  useEffect(() => {
+    if (!openBatchId || !result) return;
+    setBatch((prev) => prev.map((d) => (d.id === openBatchId && d.fields !== result.fields ? { ...d, fields: result.fields } : d)));
+  }, [result, openBatchId]);
+
+  const cancelExtraction = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  // Edit history: applied edits (the audit log) and the redo stack
+  const resultRef = useRef(result);
+  resultRef.current = result;
+  const recordEdit = useCallback((e: Omit<EditEntry, "at">) => {
+    const at = new Date().toISOString();
+    setEdits((prev) => {
+      const last = prev[prev.length - 1];
+      if (last && e.kind === "value" && last.kind === "value" && last.fieldId === e.fieldId && Date.now() - Date.parse(last.at) < EDIT_COALESCE_MS) {
+        return [...prev.slice(0, -1), { ...last, after: e.after, at }];
+      }
+      return [...prev, { ...e, at }];
+    });
+    setRedoStack([]);
+  }, []);
+
+  const updateField = useCallback(
+    (id: string, value: string) => {
+      const field = resultRef.current?.fields.find((f) => f.id === id);
+      if (!field || field.value === value) return;
+      recordEdit({ fieldId: id, label: field.label, kind: "value", before: field.value, after: value });
+      startTransition(() => {
+        setResult((prev) => {
+          if (!prev) return prev;
+          const next = prev.fields.map((f) => (f.id === id ? { ...f, value } : f));
+          return { fields: next };
+        });
+      });
+    },
+    [recordEdit]
+  );
 
-  const updateField = useCallback((id: string, value: string) => {
-    startTransition(() => {
+  // Write a corrected coord back onto the field currently highlighted in the viewer
+  const correctActiveCoord = useCallback(
+    (coord: any) => {
+      const field = resultRef.current?.fields.find((f) => f.id === activeFieldId);
+      if (!field) return;
+      recordEdit({ fieldId: field.id, label: field.label, kind: "coord", before: field.coord, after: coord });
       setResult((prev) => {
         if (!prev) return prev;
-        const next = prev.fields.map((f) => (f.id === id ? { ...f, value } : f));
-        return { fields: next };
+        return { fields: prev.fields.map((f) => (f.id === field.id ? { ...f, coord } : f)) };
       });
+    },
+    [activeFieldId, recordEdit]
+  );
+
+  // Fill the active field's value from text picked up in the viewer
+  const fillActiveValue = useCallback(
+    (text: string) => {
+      const field = resultRef.current?.fields.find((f) => f.id === activeFieldId);
+      if (!field) return;
+      if (field.value !== text) recordEdit({ fieldId: field.id, label: field.label, kind: "value", before: field.value, after: text });
+      setResult((prev) => {
+        if (!prev) return prev;
+        return { fields: prev.fields.map((f) => (f.id === field.id ? { ...f, value: text } : f)) };
+      });
+    },
+    [activeFieldId, recordEdit]
+  );
+
+  // Undo/redo put one side of an edit back onto its field and highlight it
+  const applyEditSide = useCallback((e: EditEntry, v: any) => {
+    const field = resultRef.current?.fields.find((f) => f.id === e.fieldId);
+    if (!field) return;
+    setResult((prev) => {
+      if (!prev) return prev;
+      return { fields: prev.fields.map((f) => (f.id === e.fieldId ? { ...f, [e.kind]: v } : f)) };
     });
+    setActiveFieldId(e.fieldId);
   }, []);
+  const undoEdit = useCallback(() => {
+    const last = edits[edits.length - 1];
+    if (!last) return;
+    setEdits(edits.slice(0, -1));
+    setRedoStack((r) => [...r, last]);
+    applyEditSide(last, last.before);
+  }, [edits, applyEditSide]);
+  const redoEdit = useCallback(() => {
+    const next = redoStack[redoStack.length - 1];
+    if (!next) return;
+    setRedoStack(redoStack.slice(0, -1));
+    setEdits((prev) => [...prev, next]);
+    applyEditSide(next, next.after);
+  }, [redoStack, applyEditSide]);
+  const changes = useMemo(() => fieldChanges(edits, result?.fields || []), [edits, result]);
+
+  // Schema validation: per-field type/normalized value/error, plus required fields nobody returned
+  const checks = useMemo(() => {
+    const m = new Map<string, { type: FieldType; value: any; error?: string }>();
+    for (const f of result?.fields || []) {
+      const def = schemaFor(f, resultSchema);
+      if (def) m.set(f.id, { type: def.type, ...normalizeValue(def, f.value) });
+    }
+    return m;
+  }, [result, resultSchema]);
+  const missingRequired = useMemo(
+    () =>
+      result && !loading
+        ? resultSchema.filter((d) => d.required && !result.fields.some((f) => schemaFor(f, [d]))).map((d) => d.name)
+        : [],
+    [result, resultSchema, loading]
+  );
+  const typedFields = useMemo(() => {
+    const originals = new Map(changes.filter((c) => c.kind === "value").map((c) => [c.id, c.original]));
+    return (result?.fields || []).map((f) => {
+      const c = checks.get(f.id);
+      const typed = c ? { ...f, type: c.type, normalized: c.value, ...(c.error ? { error: c.error } : {}) } : f;
+      return originals.has(f.id) ? { ...typed, originalValue: originals.get(f.id) } : typed;
+    });
+  }, [result, checks, changes]);
+
+  // PII: masked on screen unless revealed (role-gated, audited) and in exports unless opted out
+  const pii = useMemo(() => piiMatches(result?.fields || [], resultSchema), [result, resultSchema]);
+  const [revealed, setRevealed] = useState<Set<string>>(new Set());
+  const [piiAudit, setPiiAudit] = useState<PiiAuditEntry[]>([]);
+  const [exportUnmasked, setExportUnmasked] = useState(false);
+  useEffect(() => {
+    setRevealed(new Set());
+    setExportUnmasked(false);
+  }, [runMeta, piiRole]);
+  const auditPii = useCallback(
+    (entry: Omit<PiiAuditEntry, "at" | "role">) => setPiiAudit((prev) => [...prev, { at: new Date().toISOString(), role: piiRole, ...entry }]),
+    [piiRole]
+  );
+  const revealField = useCallback(
+    (f: any) => {
+      const m = pii.get(f.id);
+      if (!m) return;
+      const entry = { fieldId: f.id, label: f.label, kind: m.kind };
+      if (!PII_REVEAL[piiRole].includes(m.kind)) {
+        auditPii({ action: "reveal-denied", ...entry });
+        alert(`Your role (${piiRole}) cannot reveal ${PII_LABELS[m.kind]}s.`);
+        return;
+      }
+      auditPii({ action: "reveal", ...entry });
+      setRevealed((prev) => new Set(prev).add(f.id));
+    },
+    [pii, piiRole, auditPii]
+  );
+  const hideField = useCallback(
+    (f: any) => {
+      auditPii({ action: "hide", fieldId: f.id, label: f.label, kind: pii.get(f.id)?.kind });
+      setRevealed((prev) => {
+        const next = new Set(prev);
+        next.delete(f.id);
+        return next;
+      });
+    },
+    [pii, auditPii]
+  );
+  const toggleExportUnmasked = useCallback(
+    (on: boolean) => {
+      if (on && !canExportUnmasked(piiRole)) return;
+      if (on) auditPii({ action: "unmask-exports" });
+      setExportUnmasked(on);
+    },
+    [piiRole, auditPii]
+  );
+  const exportFields = useMemo(() => (exportUnmasked ? typedFields : maskFields(typedFields, pii)), [exportUnmasked, typedFields, pii]);
+  const exportChanges = useMemo(() => (exportUnmasked ? changes : maskChanges(changes, pii)), [exportUnmasked, changes, pii]);
+  const displayChanges = useMemo(() => maskChanges(changes, pii, revealed), [changes, pii, revealed]);
+  const redactCoords = useMemo(
+    () => (result?.fields || []).filter((f) => f.coord && pii.has(f.id) && !revealed.has(f.id)).map((f) => f.coord),
+    [result, pii, revealed]
+  );
+  const maskRunValue = useCallback(
+    (f: any) => String((revealed.has(f.id) ? f.value : maskPiiText(f.value, detectPii(f, schemaFor(f, resultSchema)))) ?? ""),
+    [revealed, resultSchema]
+  );
+
+  const exportResult = useCallback(
+    (kind: "csv" | "xlsx") => {
+      try {
+        exportSpreadsheet(kind, exportFields, runMeta, exportChanges);
+        if (exportUnmasked) auditPii({ action: "export-unmasked", detail: `.${kind}` });
+      } catch (e) {
+        console.error(e);
+        alert(`Failed to export ${kind.toUpperCase()}`);
+      }
+    },
+    [exportFields, runMeta, exportChanges, exportUnmasked, auditPii]
+  );
+
+  const downloadRunRecord = useCallback(
+    (record: RunRecord) => {
+      const out = exportUnmasked ? record : maskRunRecord(record, recordSchema(record));
+      downloadBlob(new Blob([runRecordFileText(out)], { type: "application/json" }), `run-${record.n}-${record.at.slice(0, 19).replace(/[:T]/g, "-")}.json`);
+      if (exportUnmasked) auditPii({ action: "export-unmasked", detail: `run #${record.n}` });
+    },
+    [exportUnmasked, auditPii]
+  );
+
+  // The record of the run behind the current result rides along in JSON and XML exports
+  const exportRunRecord = useMemo(() => {
+    const record = runRecords.find((r) => r.id === runMeta?.runId);
+    return record && !exportUnmasked ? maskRunRecord(record, recordSchema(record)) : record;
+  }, [runRecords, runMeta, exportUnmasked]);
 
   // JSON & XML strings
-  const jsonText = useMemo(() => (result ? JSON.stringify(result, null, 2) : "{}"), [result]);
-  const xmlText = useMemo(() => (result ? toXML(result.fields) : "<extraction/>") , [result]);
+  const jsonText = useMemo(
+    () =>
+      result
+        ? JSON.stringify(
+            {
+              ...result,
+              fields: exportFields,
+              ...(missingRequired.length ? { missingRequired } : {}),
+              ...(exportChanges.length ? { changes: exportChanges } : {}),
+              ...(exportRunRecord ? { run: exportRunRecord } : {}),
+            },
+            null,
+            2
+          )
+        : "{}",
+    [result, exportFields, missingRequired, exportChanges, exportRunRecord]
+  );
+  const xmlForm = runMeta?.form || selectedForm;
+  const xmlText = useMemo(
+    () =>
+      toXML(result ? exportFields : [], {
+        form: xmlForm,
+        schema: resultSchema,
+        generated: runMeta?.timestamp,
+        changes: exportChanges,
+        run: result ? exportRunRecord : undefined,
+      }),
+    [result, exportFields, xmlForm, resultSchema, runMeta, exportChanges, exportRunRecord]
+  );
+  const xsdText = useMemo(() => toXSD(xmlForm, resultSchema), [xmlForm, resultSchema]);
 
-  // Pages to pre-render (from coords)
-  const allowedPages = useMemo(() => {
+  // Pages to pre-render (from coords). Keyed by the page list so value edits and
+  // streamed fields on already-known pages don't reset the viewer.
+  const pageKey = useMemo(() => {
     const s = new Set<number>();
     if (result?.fields?.length) {
       for (const f of result.fields) {
-        if (f.coord?.page) s.add(Number(f.coord.page));
+        for (const p of coordPages(f.coord)) s.add(p);
       }
     }
     if (s.size === 0) s.add(1);
-    return s;
+    return Array.from(s).sort((a, b) => a - b).join(",");
   }, [result]);
+  const allowedPages = useMemo(() => new Set(pageKey.split(",").map(Number)), [pageKey]);
 
   // Exit focused mode (Back)
   const handleBack = useCallback(() => {
     setFocused(false);
   }, []);
 
+  // Review session: autosave to IndexedDB (to the pending slot until the user has decided about
+  // any stored session), restore on request, and export/open as a single file
+  const [savedSession, setSavedSession] = useState<ReviewSession | null>(null);
+  const [autosavedAt, setAutosavedAt] = useState<string | null>(null);
+  const [autosaveChecked, setAutosaveChecked] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    loadAutosave()
+      .then((saved) => {
+        if (cancelled) return;
+        if (saved && (saved.result || saved.pdf)) setSavedSession(saved);
+        setAutosaveChecked(true);
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setAutosaveChecked(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const buildSession = useCallback(
+    (): ReviewSession => ({
+      version: SESSION_VERSION,
+      savedAt: new Date().toISOString(),
+      pdf: pdfFile ? { name: pdfFile.name, type: pdfFile.type || "application/pdf", data: pdfFile } : null,
+      form: selectedForm,
+      libraryPrompts: Array.from(selectedLibraryPrompts),
+      customList,
+      selectedCustomIds: Array.from(selectedCustomIds),
+      promptSetName,
+      customModel,
+      customSystem,
+      fieldSchema,
+      result,
+      resultSchema,
+      runMeta,
+      activeFieldId,
+      edits,
+      piiAudit,
+      mixPolicy,
+      promptConfigs,
+    }),
+    [pdfFile, selectedForm, selectedLibraryPrompts, customList, selectedCustomIds, promptSetName, customModel, customSystem, fieldSchema, result, resultSchema, runMeta, activeFieldId, edits, piiAudit, mixPolicy, promptConfigs]
+  );
+
+  const autosaveSlot = !autosaveChecked || savedSession ? AUTOSAVE_PENDING_KEY : AUTOSAVE_KEY;
+  // Same rule as "Save session": PII stays masked in the browser's copy too unless unmasked export is allowed and opted in
+  const autosaveUnmasked = exportUnmasked && canExportUnmasked(piiRole);
+  useEffect(() => {
+    if (loading || (!pdfFile && !result)) return;
+    const t = setTimeout(() => {
+      const session = buildSession();
+      (autosaveUnmasked ? Promise.resolve(session) : maskSession(session, pii))
+        .then((stored) => saveAutosave(stored, autosaveSlot))
+        .then(() => setAutosavedAt(session.savedAt))
+        .catch((e) => console.error(e));
+    }, 800);
+    return () => clearTimeout(t);
+  }, [buildSession, loading, pdfFile, result, autosaveSlot, autosaveUnmasked, pii]);
+
+  const restoreSession = useCallback(
+    (s: ReviewSession) => {
+      abortRef.current?.abort();
+      clearClassification();
+      if (s.form !== selectedForm) skipFormResetRef.current = true;
+      setSelectedForm(s.form);
+      setSelectedLibraryPrompts(new Set(s.libraryPrompts || []));
+      setCustomList(s.customList || []);
+      setSelectedCustomIds(new Set(s.selectedCustomIds || []));
+      setPromptSetName(s.promptSetName || "");
+      setCustomModel(s.customModel || "gpt-4o-mini");
+      setCustomSystem(s.customSystem || "");
+      setFieldSchema(s.fieldSchema || []);
+      setMixPolicy(s.mixPolicy || "form-defaults");
+      setPromptConfigs(s.promptConfigs || {});
+      setResult(s.result);
+      setResultSchema(s.resultSchema || []);
+      setRunMeta(s.runMeta);
+      setEdits(s.edits || []);
+      setPiiAudit(s.piiAudit || []);
+      setRedoStack([]);
+      setOpenBatchId(null);
+      const active = s.result?.fields.find((f) => f.id === s.activeFieldId) || s.result?.fields.find((f) => f.coord);
+      setActiveFieldId(active?.id ?? null);
+      if (s.pdf) {
+        const file = new File([s.pdf.data], s.pdf.name, { type: s.pdf.type });
+        setPdfFile(file);
+        setPdfUrl(URL.createObjectURL(file));
+      } else {
+        setPdfFile(null);
+        setPdfUrl(null);
+      }
+      if (s.result) {
+        setPreviewTab("excel");
+        setFocused(true);
+        setDetailsOpen(true);
+      }
+      setSavedSession(null);
+    },
+    [selectedForm]
+  );
+
+  const discardSavedSession = useCallback(() => {
+    clearAutosave().catch((e) => console.error(e));
+    setSavedSession(null);
+  }, []);
+
+  // Saved files follow the export masking: unmasked (and audited) only when the role allows it and opted in
+  const [savingSession, setSavingSession] = useState(false);
+  const exportSession = useCallback(async () => {
+    const unmasked = exportUnmasked && canExportUnmasked(piiRole);
+    setSavingSession(true);
+    try {
+      const session = buildSession();
+      const text = await sessionToFileText(unmasked ? session : await maskSession(session, pii));
+      const base = (pdfFile?.name || "review").replace(/\.pdf$/i, "");
+      downloadBlob(new Blob([text], { type: "application/json" }), `${base}.session.json`);
+      if (unmasked) auditPii({ action: "export-unmasked", detail: "session" });
+    } catch (e) {
+      console.error(e);
+      alert("Failed to export the session");
+    } finally {
+      setSavingSession(false);
+    }
+  }, [buildSession, pdfFile, exportUnmasked, piiRole, pii, auditPii]);
+
+  function openSessionFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const f = (e.target.files && e.target.files[0]) || null;
+    e.target.value = "";
+    if (!f) return;
+    f.text()
+      .then((text) => restoreSession(sessionFromFileText(text)))
+      .catch((err) => {
+        console.error(err);
+        alert(err?.message || "Failed to open the session file");
+      });
+  }
+
+  // Abort any in-flight single or batch run on unmount
+  useEffect(
+    () => () => {
+      abortRef.current?.abort();
+      batchAbortRef.current?.abort();
+    },
+    []
+  );
+
   // ESC behavior: collapse unified details if open; otherwise Back (if focused)
   useEffect(() => {
     function onKey(e: KeyboardEvent) {
@@ -741,10 +5035,18 @@ export default function BankDocsPlaygroundUnified() {
   const vData = useMemo(
     () => ({
       items: result?.fields || [],
-      onFocus: setActiveCoord,
+      onFocus: setActiveFieldId,
       onChange: updateField,
+      activeFieldId,
+      checks,
+      missing: missingRequired,
+      changed: new Set(changes.map((c) => c.id)),
+      pii,
+      revealed,
+      onReveal: revealField,
+      onHide: hideField,
     }),
-    [result]
+    [result, activeFieldId, checks, missingRequired, changes, pii, revealed, revealField, hideField]
   );
 
   return (
@@ -769,9 +5071,54 @@ export default function BankDocsPlaygroundUnified() {
             <h1 className="text-lg font-semibold leading-tight">Bank Documents Playground (Unified)</h1>
             <p className="text-sm text-neutral-500 -mt-0.5">A safe, read-only space for users without admin privileges</p>
           </div>
+          <div className="ml-auto flex items-center gap-2">
+            {autosavedAt && <span className="hidden sm:inline text-[12px] text-neutral-500">Autosaved {new Date(autosavedAt).toLocaleTimeString()}</span>}
+            <button
+              type="button"
+              onClick={() => setRunsOpen(true)}
+              className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:bg-neutral-50"
+              title="Everything sent to the extractor this session"
+            >
+              Runs{runRecords.length ? ` (${runRecords.length})` : ""}
+            </button>
+            <label className="inline-flex items-center rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm cursor-pointer hover:bg-neutral-50">
+              Open session
+              <input type="file" accept=".json,application/json" className="hidden" onChange={openSessionFile} />
+            </label>
+            <button
+              type="button"
+              onClick={exportSession}
+              disabled={(!pdfFile && !result) || savingSession}
+              className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:bg-neutral-50 disabled:opacity-50"
+              title={
+                exportUnmasked && canExportUnmasked(piiRole)
+                  ? "Download the PDF, fields and prompt setup as one file (unmasked)"
+                  : "Download the PDF, fields and prompt setup as one file (PII masked, PDF redacted)"
+              }
+            >
+              {savingSession ? "Saving…" : "Save session"}
+            </button>
+          </div>
         </div>
       </header>
 
+      {savedSession && (
+        <div className="mx-auto max-w-7xl px-4 pt-4">
+          <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-sky-200 bg-sky-50 p-3 text-sm text-sky-900">
+            <span className="flex-1 min-w-0">
+              An autosaved session from {new Date(savedSession.savedAt).toLocaleString()} is available
+              {" "}({savedSession.result?.fields.length ?? 0} field(s){savedSession.pdf ? `, ${savedSession.pdf.name}` : ""}).
+            </span>
+            <button type="button" onClick={() => restoreSession(savedSession)} className="rounded-xl bg-sky-900 px-3 py-1.5 text-white hover:bg-sky-800">
+              Restore
+            </button>
+            <button type="button" onClick={discardSavedSession} className="rounded-xl border border-sky-300 px-3 py-1.5 hover:bg-sky-100">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Controls (hide in focused mode) */}
       <AnimatePresence initial={false}>
         {!focused && (
@@ -800,6 +5147,22 @@ export default function BankDocsPlaygroundUnified() {
                   </select>
                   <ChevronDown className="pointer-events-none absolute right-3 top-1/2 -translate-y-1/2" size={16} />
                 </div>
+                {classifying ? (
+                  <p className="text-[12px] text-neutral-500 mt-2 inline-flex items-center gap-1">
+                    <Loader2 size={12} className="animate-spin" /> Detecting form type…
+                  </p>
+                ) : classification ? (
+                  <p className="text-[12px] text-neutral-500 mt-2" title={`Classifier: ${classification.classifier}`}>
+                    {detectedForm
+                      ? `Detected: ${FORMS.find((f) => f.value === detectedForm.form)?.label || detectedForm.form} · ${Math.round(detectedForm.confidence * 100)}%`
+                      : "Form type not recognized"}
+                    {detectedForm && detectedForm.form === selectedForm && !libraryPrompts.every((p) => selectedLibraryPrompts.has(p)) && (
+                      <button type="button" onClick={() => applyClassifiedForm(detectedForm.form)} className="ml-2 underline hover:text-neutral-800">
+                        Use all its prompts
+                      </button>
+                    )}
+                  </p>
+                ) : null}
               </div>
 
               {/* Prompt picker (library) */}
@@ -811,8 +5174,11 @@ export default function BankDocsPlaygroundUnified() {
                       options={libraryPrompts}
                       selected={selectedLibraryPrompts}
                       onToggle={toggleLibraryPrompt}
+                      sets={formPromptSets}
+                      activeSet={activePromptSet}
+                      onPickSet={loadPromptSet}
                     />
-                    <p className="text-[12px] text-neutral-500 mt-2">Select multiple prompts using the checkboxes.</p>
+                    <p className="text-[12px] text-neutral-500 mt-2">Select multiple prompts using the checkboxes, or pick a saved set.</p>
                   </div>
                 </div>
               </div>
@@ -824,7 +5190,7 @@ export default function BankDocsPlaygroundUnified() {
                   <input
                     value={newCustomText}
                     onChange={(e) => setNewCustomText(e.target.value)}
-                    placeholder="Type a custom prompt and click Add"
+                    placeholder="Type a custom prompt, e.g. List {{fieldNames}} from this {{form}}"
                     className="w-full rounded-2xl border border-neutral-300 bg-white px-3 py-2.5 text-sm outline-none transition focus:ring-2 focus:ring-neutral-900"
                   />
                   <button
@@ -868,52 +5234,93 @@ export default function BankDocsPlaygroundUnified() {
               </div>
 
               {/* PDF upload */}
-              <PdfUpload onUrl={(u) => setPdfUrl(u)} url={pdfUrl} />
-
-              {/* Extraction JSON upload (use previously-extracted coords) */}
-              <ExtractionJsonUpload onData={(items) => {
-                try {
-                  const fields = (items || [])
-                    .filter((it: any) => it && it.page && Array.isArray(it.bbox_norm))
-                    .map((it: any) => ({
-                      id: uid("field"),
-                      label: `${it.category || "item"}: ${it.label || ""}`.trim(),
-                      value: (it.snippet || "").slice(0, 200),
-                      coord: { page: Number(it.page), bbox: it.bbox_norm },
-                    }));
-                  if (fields.length === 0) {
-                    alert("No valid items found in the JSON.");
-                    return;
-                  }
+              <PdfUpload
+                onUrl={(u) => setPdfUrl(u)}
+                onFile={(f) => {
+                  setPdfFile(f);
+                  classifyPdf(f);
+                }}
+                url={pdfUrl}
+                name={pdfFile?.name}
+              />
+
+              {/* Extraction results import (JSON / CSV / XML, mapped in a preview dialog) */}
+              <ExtractionImport
+                pdfUrl={pdfUrl}
+                onImport={(fields, { fileName, format }) => {
                   setResult({ fields });
-                  setActiveCoord({ page: fields[0].coord.page, bbox: fields[0].coord.bbox, scroll: true });
+                  setResultSchema(formSchema);
+                  setOpenBatchId(null);
+                  resetHistory();
+                  setRunMeta({
+                    form: selectedForm,
+                    formLabel: FORMS.find((f) => f.value === selectedForm)?.label,
+                    prompts: [],
+                    provider: `imported ${format.toUpperCase()} (${fileName})`,
+                    timestamp: new Date().toISOString(),
+                  });
+                  setActiveFieldId(fields.find((f) => f.coord)?.id ?? null);
                   setPreviewTab("excel");
                   setFocused(true);
                   setDetailsOpen(true);
-                } catch (e) {
-                  console.error(e);
-                  alert("Failed to read extraction JSON");
-                }
-              }} />
+                }}
+              />
 
               {/* Run extraction */}
-              <div className="md:col-span-4 flex items-end">
-                <motion.button
-                  whileTap={{ scale: 0.98 }}
-                  onClick={runExtraction}
-                  disabled={loading || (selectedLibraryPrompts.size === 0 && selectedCustomPrompts.length === 0)}
-                  className="inline-flex items-center justify-center gap-2 rounded-2xl bg-neutral-900 px-4 py-2.5 text-sm font-medium text-white shadow-sm hover:shadow transition disabled:opacity-60 disabled:cursor-not-allowed w-full"
-                >
-                  {loading ? (
-                    <>
-                      <Loader2 className="animate-spin" size={16} /> Running extraction...
-                    </>
-                  ) : (
-                    <>
-                      <Play size={16} /> Run extraction
-                    </>
+              <div className="md:col-span-4 flex flex-col justify-end gap-2">
+                <label className={"inline-flex items-center gap-2 text-[12px] " + (provider.stream ? "text-neutral-600" : "text-neutral-400")}>
+                  <input
+                    type="checkbox"
+                    checked={streamMode && !!provider.stream}
+                    disabled={!provider.stream || loading}
+                    onChange={(e) => setStreamMode(e.target.checked)}
+                  />
+                  Stream fields as they arrive{provider.stream ? "" : " (not supported by this provider)"}
+                </label>
+                <div className="flex gap-2">
+                  <motion.button
+                    whileTap={{ scale: 0.98 }}
+                    onClick={runExtraction}
+                    disabled={loading || (selectedLibraryPrompts.size === 0 && selectedCustomPrompts.length === 0) || templatesInvalid || !!modelBlocked || estimatePending}
+                    title={
+                      templatesInvalid
+                        ? "Fix the prompt template errors first"
+                        : modelBlocked
+                          ? `${runModelId}: ${modelBlocked}`
+                          : estimatePending
+                            ? "Reading the PDF to size the run…"
+                            : undefined
+                    }
+                    className="inline-flex items-center justify-center gap-2 rounded-2xl bg-neutral-900 px-4 py-2.5 text-sm font-medium text-white shadow-sm hover:shadow transition disabled:opacity-60 disabled:cursor-not-allowed w-full"
+                  >
+                    {loading ? (
+                      <>
+                        <Loader2 className="animate-spin" size={16} /> Running extraction...
+                      </>
+                    ) : (
+                      <>
+                        <Play size={16} /> Run extraction
+                      </>
+                    )}
+                  </motion.button>
+                  {loading && (
+                    <button
+                      type="button"
+                      onClick={cancelExtraction}
+                      className="inline-flex items-center gap-1 rounded-2xl border border-neutral-300 bg-white px-3 py-2.5 text-sm hover:shadow-sm"
+                    >
+                      <X size={16} /> Cancel
+                    </button>
                   )}
-                </motion.button>
+                </div>
+                <p className={"text-[12px] " + (modelBlocked ? "text-red-600" : "text-neutral-500")} title="Estimated from the PDF's text (~4 characters per token) and the registry's list prices">
+                  {estimatePending
+                    ? "Estimating… (reading the PDF)"
+                    : modelBlocked
+                      ? `${runModelId} can't take this document: ${modelBlocked}`
+                      : `${docFactsFailed ? "PDF text unavailable, prompts only · " : ""}${estimatedCost != null ? `≈ $${estimatedCost < 0.01 ? estimatedCost.toFixed(4) : estimatedCost.toFixed(2)} · ` : ""}${formatTokens(runEstimate.inputTokens)} in / ${formatTokens(runEstimate.outputTokens)} out tokens · ${runModelId || "default model"}${runGroups.length > 1 ? ` · ${runGroups.length} requests` : ""}`}
+                </p>
+                {registryNotice && <p className="text-[12px] text-amber-700">{registryNotice}</p>}
               </div>
             </div>
 
@@ -927,24 +5334,36 @@ export default function BankDocsPlaygroundUnified() {
                 <div className="grid grid-cols-1 md:grid-cols-12 gap-4">
                   <div className="md:col-span-4">
                     <label className="block text-sm font-medium mb-2">Prompt set name (optional)</label>
-                    <input
-                      value={promptSetName}
-                      onChange={(e) => setPromptSetName(e.target.value)}
-                      placeholder="e.g., Risk & Revenue Pull"
-                      className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
-                    />
+                    <div className="flex gap-2">
+                      <input
+                        value={promptSetName}
+                        onChange={(e) => setPromptSetName(e.target.value)}
+                        placeholder="e.g., Risk & Revenue Pull"
+                        className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+                      />
+                      <button
+                        type="button"
+                        onClick={saveCurrentPromptSet}
+                        disabled={!promptSetName.trim()}
+                        className="shrink-0 rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:shadow-sm disabled:opacity-50"
+                        title="Save prompts, model, system text and field schema; saving again under the same name adds a version"
+                      >
+                        Save set
+                      </button>
+                    </div>
+                    <p className="text-[12px] text-neutral-500 mt-1">
+                      {activePromptSet ? `Matches saved v${activePromptSet.version}` : promptSetName.trim() && formPromptSets.some((s) => s.name === promptSetName.trim()) ? "Unsaved changes" : ""}
+                    </p>
                   </div>
                   <div className="md:col-span-4">
                     <label className="block text-sm font-medium mb-2">AI model</label>
-                    <select
+                    <ModelSelect
                       value={customModel}
-                      onChange={(e) => setCustomModel(e.target.value)}
+                      onChange={setCustomModel}
+                      models={modelRegistry}
+                      estimate={runEstimate}
                       className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
-                    >
-                      <option value="gpt-4o-mini">gpt-4o-mini</option>
-                      <option value="claude-3-5-sonnet">claude-3-5-sonnet</option>
-                      <option value="llama-3.1-70b-instruct">llama-3.1-70b-instruct</option>
-                    </select>
+                    />
                   </div>
                   <div className="md:col-span-4">
                     <label className="block text-sm font-medium mb-2">System instructions (optional)</label>
@@ -956,29 +5375,220 @@ export default function BankDocsPlaygroundUnified() {
                     />
                   </div>
                   <div className="md:col-span-12">
-                    <label className="block text-sm font-medium mb-2">Field names from the document</label>
-                    <FieldNamesEditor value={fieldNames} onChange={setFieldNames} />
-                    <p className="text-[12px] text-neutral-500 mt-1">These hint the extractor about the desired schema.</p>
+                    <label className="block text-sm font-medium mb-2">Field schema</label>
+                    <FieldSchemaEditor value={fieldSchema} onChange={setFieldSchema} formSchema={formSchema} />
+                    <p className="text-[12px] text-neutral-500 mt-1">Names hint the extractor; types, required flags and patterns validate the results.</p>
                   </div>
                 </div>
               </div>
             )}
 
+            {/* Templated prompts: variables, live preview and validation (gates Run) */}
+            {templatePreview.length > 0 && (
+              <div className="mt-4 rounded-2xl border border-neutral-200 bg-white p-4">
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <h3 className="text-sm font-medium mr-auto">Prompt templates</h3>
+                  <label className="inline-flex items-center gap-1.5 text-xs text-neutral-600">
+                    Fiscal year
+                    <input
+                      value={fiscalYearInput}
+                      onChange={(e) => setFiscalYearInput(e.target.value)}
+                      placeholder={docFacts?.fiscalYear ? `${docFacts.fiscalYear} (from PDF)` : "e.g. 2024"}
+                      className="w-32 rounded-lg border border-neutral-300 px-2 py-1 outline-none focus:ring-2 focus:ring-neutral-900"
+                    />
+                  </label>
+                </div>
+                <div className="mb-3 flex flex-wrap gap-1.5 text-[11px]">
+                  {Object.entries(TEMPLATE_VARS).map(([name, v]) => {
+                    const value = v.value(templateContext);
+                    return (
+                      <span
+                        key={name}
+                        title={v.hint}
+                        className={"rounded-full border px-2 py-0.5 " + (value == null ? "border-neutral-200 text-neutral-400" : "border-neutral-300 bg-neutral-50 text-neutral-700")}
+                      >
+                        <span className="font-mono">{`{{${name}}}`}</span> = {value == null ? "n/a" : value.length > 40 ? `${value.slice(0, 40)}…` : value}
+                      </span>
+                    );
+                  })}
+                </div>
+                <div className="space-y-2">
+                  {templatePreview.map((p) => (
+                    <div key={p.template} className={"rounded-xl border px-3 py-2 text-sm " + (p.errors.length ? "border-red-200 bg-red-50" : "border-neutral-200")}>
+                      <div className="font-mono text-[11px] text-neutral-500 break-words">{p.template}</div>
+                      <div className="mt-1 break-words">{p.rendered}</div>
+                      {p.errors.map((e) => (
+                        <div key={e} className="text-[11px] text-red-600">{e}</div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Saved prompt sets: versions, import/export */}
+            <div className="mt-4">
+              {promptSetNotice && <p className="mb-2 text-[12px] text-neutral-500">{promptSetNotice}</p>}
+              <PromptSetManager
+                sets={formPromptSets}
+                activeId={activePromptSet?.set.id}
+                onLoad={loadPromptSet}
+                onDelete={(id) => setPromptSets((prev) => prev.filter((s) => s.id !== id))}
+                onImport={importPromptSets}
+                onExport={promptSets.length ? exportPromptSets : undefined}
+              />
+            </div>
+
+            {/* Library + custom mix: explicit config policy */}
             {mixSelected && (
-              <div className="mt-4 rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
-                A mix of library and custom prompts is selected. The system will use the default configuration for <span className="font-medium">{FORMS.find((f) => f.value === selectedForm)?.label}</span>.
+              <div className="mt-4 rounded-2xl border border-neutral-200 bg-white p-4">
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <Settings size={16} />
+                  <h3 className="text-sm font-medium mr-auto">Mixed prompt configuration</h3>
+                  <div className="inline-flex rounded-xl border border-neutral-300 p-0.5 text-xs">
+                    {MIX_POLICIES.map((p) => (
+                      <button
+                        key={p.value}
+                        type="button"
+                        title={p.hint}
+                        onClick={() => setMixPolicy(p.value)}
+                        className={"rounded-lg px-2.5 py-1 " + (mixPolicy === p.value ? "bg-neutral-900 text-white" : "text-neutral-600 hover:bg-neutral-100")}
+                      >
+                        {p.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {mixPolicy === "form-defaults" && (
+                  <p className="text-[12px] text-neutral-500">
+                    All prompts run with the <span className="font-medium">{FORMS.find((f) => f.value === selectedForm)?.label}</span> defaults
+                    {defaultConfig ? ` (${defaultConfig.model})` : ""}; the custom model and system text are not used.
+                  </p>
+                )}
+                {mixPolicy === "custom-override" && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <ModelSelect
+                      value={customModel}
+                      onChange={setCustomModel}
+                      models={modelRegistry}
+                      estimate={runEstimate}
+                      className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+                    />
+                    <input
+                      value={customSystem}
+                      onChange={(e) => setCustomSystem(e.target.value)}
+                      placeholder="System instructions for every prompt (optional)"
+                      className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-900"
+                    />
+                  </div>
+                )}
+                {mixPolicy === "per-prompt" && (
+                  <div className="space-y-2">
+                    {runGroups.flatMap((g, gi) =>
+                      g.templates.map((t) => {
+                        const config = promptConfig(t);
+                        return (
+                          <div key={t} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center rounded-xl border border-neutral-200 px-3 py-2">
+                            <div className="md:col-span-5 min-w-0 text-sm">
+                              <div className="truncate" title={t}>{t}</div>
+                              <div className="text-[11px] text-neutral-400">
+                                {selectedLibraryPrompts.has(t) ? "Library" : "Custom"} · request {gi + 1} of {runGroups.length}
+                              </div>
+                            </div>
+                            <ModelSelect
+                              value={config.model}
+                              onChange={(model) => setPromptConfig(t, { model })}
+                              models={modelRegistry}
+                              estimate={groupEstimates[gi].estimate}
+                              className="md:col-span-3 w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+                            />
+                            <input
+                              value={config.system}
+                              onChange={(e) => setPromptConfig(t, { system: e.target.value })}
+                              placeholder="System instructions (optional)"
+                              className="md:col-span-4 w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-neutral-900"
+                            />
+                          </div>
+                        );
+                      })
+                    )}
+                    <p className="text-[12px] text-neutral-500">
+                      Prompts with the same model and system text share a request. Fields from each request are merged and tagged with their model in the source column.
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {formMismatch && detectedForm && (
+              <div className="mt-4 flex flex-wrap items-center gap-3 rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+                <span className="flex-1 min-w-0">
+                  This PDF looks like <span className="font-medium">{FORMS.find((f) => f.value === detectedForm.form)?.label || detectedForm.form}</span>
+                  {" "}({Math.round(detectedForm.confidence * 100)}% confidence), but{" "}
+                  <span className="font-medium">{FORMS.find((f) => f.value === selectedForm)?.label}</span> is selected.
+                </span>
+                <button
+                  type="button"
+                  onClick={() => applyClassifiedForm(detectedForm.form)}
+                  className="rounded-xl bg-amber-900 px-3 py-1.5 text-white hover:bg-amber-800"
+                >
+                  Switch
+                </button>
+                <button type="button" onClick={() => setMismatchDismissed(true)} className="rounded-xl border border-amber-300 px-3 py-1.5 hover:bg-amber-100">
+                  Keep
+                </button>
               </div>
             )}
+
+            {/* Batch mode: many PDFs through the same setup */}
+            <div className="mt-4">
+              <BatchPanel
+                docs={batch}
+                running={batchRunning}
+                concurrency={batchConcurrency}
+                openId={openBatchId}
+                canRun={(selectedLibraryPrompts.size > 0 || selectedCustomPrompts.length > 0) && !templatesMalformed}
+                onConcurrency={setBatchConcurrency}
+                onAdd={(files) => setBatch((prev) => [...prev, ...files.map((file) => ({ id: uid("doc"), file, status: "queued" as BatchStatus }))])}
+                onRemove={(id) => setBatch((prev) => prev.filter((d) => d.id !== id))}
+                onClear={() => setBatch([])}
+                onRun={runBatch}
+                onCancel={() => batchAbortRef.current?.abort()}
+                onOpen={openBatchDoc}
+                onExport={(kind) => {
+                  try {
+                    exportBatchSpreadsheet(kind, batch, { unmasked: exportUnmasked });
+                    if (exportUnmasked) auditPii({ action: "export-unmasked", detail: `batch .${kind}` });
+                  } catch (e) {
+                    console.error(e);
+                    alert(`Failed to export ${kind.toUpperCase()}`);
+                  }
+                }}
+              />
+            </div>
           </motion.section>
         )}
       </AnimatePresence>
 
+      <AnimatePresence>
+        {runsOpen && (
+          <RunLogDrawer
+            records={runRecords}
+            currentId={runMeta?.runId}
+            running={loading}
+            onRerun={rerunRecord}
+            onDownload={downloadRunRecord}
+            onClose={() => setRunsOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Unified details (replaces split panes) */}
       <section className={(focused ? "max-w-[1600px]" : "max-w-7xl") + " mx-auto px-4 pb-8"}>
         <UnifiedDetails
           open={detailsOpen}
           onToggle={() => setDetailsOpen((v) => !v)}
-          title="Document preview + Results"
+          title={openedBatchDoc ? `${openedBatchDoc.file.name} (batch)` : "Document preview + Results"}
           focused={focused}
           pdfUrl={pdfUrl}
           allowedPages={allowedPages}
@@ -989,6 +5599,28 @@ export default function BankDocsPlaygroundUnified() {
           vData={vData}
           jsonText={jsonText}
           xmlText={xmlText}
+          xsdText={xsdText}
+          xmlRoot={xmlRootName(xmlForm)}
+          running={loading}
+          onCancel={cancelExtraction}
+          onCoordChange={activeFieldId ? correctActiveCoord : undefined}
+          onUseText={fillActiveValue}
+          onExport={exportResult}
+          changes={displayChanges}
+          onUndo={undoEdit}
+          onRedo={redoEdit}
+          canUndo={edits.length > 0}
+          canRedo={redoStack.length > 0}
+          runs={compareRuns}
+          maskRunValue={maskRunValue}
+          redact={redactCoords}
+          piiRole={piiRole}
+          piiAudit={piiAudit}
+          exportUnmasked={exportUnmasked}
+          canExportUnmasked={canExportUnmasked(piiRole)}
+          onExportUnmaskedChange={toggleExportUnmasked}
+          onXmlDownload={() => exportUnmasked && auditPii({ action: "export-unmasked", detail: ".xml" })}
+          documentName={openedBatchDoc?.file.name || pdfFile?.name}
         />
       </section>
 
@@ -997,7 +5629,7 @@ export default function BankDocsPlaygroundUnified() {
         <footer className="mx-auto max-w-7xl px-4 pb-8">
           <div className="text-[12px] text-neutral-500">
             <p>
-              This is a non-admin playground. No data is persisted. To integrate with production services, connect the Run Extraction action to your AI agent endpoint. When combining library & custom prompts, the component defaults to the form's predefined system configuration.
+              This is a non-admin playground. Review sessions autosave only in this browser (IndexedDB); use "Save session" to hand one to a colleague. To integrate with production services, pass an extraction provider (e.g. createHttpProvider) to the playground. When combining library & custom prompts, pick the form defaults, the custom configuration or a per-prompt configuration; per-prompt runs send one request per distinct model/system pair. SSNs, TINs, account and routing numbers stay masked unless your role (the `piiRole` prop) allows revealing them; every reveal and unmasked export is logged in the Changes tab. The in-browser autosave and saved session files are masked the same way.
             </p>
           </div>
         </footer>
@@ -1021,12 +5653,13 @@ function TabButton({ active, onClick, children, icon }: any) {
   );
 }
 
-function PdfUpload({ onUrl, url }: { onUrl: (u: string) => void; url: string | null }) {
+function PdfUpload({ onUrl, onFile, url, name }: { onUrl: (u: string) => void; onFile?: (f: File) => void; url: string | null; name?: string }) {
   function handlePdfUpload(e: React.ChangeEvent<HTMLInputElement>) {
     const f = (e.target.files && e.target.files[0]) || null;
     if (f) {
       const url = URL.createObjectURL(f);
       onUrl(url);
+      onFile?.(f);
     }
   }
   return (
@@ -1040,7 +5673,7 @@ function PdfUpload({ onUrl, url }: { onUrl: (u: string) => void; url: string | n
         </label>
         {url ? (
           <span className="text-sm text-neutral-600 truncate">
-            Selected: <span className="font-medium">{url.split("/").pop()}</span>
+            Selected: <span className="font-medium">{name || url.split("/").pop()}</span>
           </span>
         ) : (
           <span className="text-sm text-neutral-400">No file selected</span>
@@ -0,0 +1,177 @@
+import type { MixPolicy, RunConfig } from "./extraction_providers";
+import type { EditEntry, FieldDef } from "./extraction_fields";
+import type { PiiAuditEntry } from "./pii_masking";
+import type { RunMeta } from "./run_records";
+
+// ---------------------------------------------
+// Review sessions: the IndexedDB autosave and the single-file export.
+// ---------------------------------------------
+// Everything needed to pick a review back up: the PDF, the (edited) fields and the run setup.
+// Autosaved to IndexedDB; exported as one JSON file with the PDF base64-encoded.
+// The playground masks both the autosave and saved files (PII values, redacted PDF) unless the role may
+// export unmasked and has opted in.
+export const SESSION_VERSION = 1;
+const SESSION_DB = "bank-docs-playground";
+const SESSION_STORE = "sessions";
+export const AUTOSAVE_KEY = "autosave";
+// Work done while the restore banner is still open goes here, so the offered session isn't overwritten
+export const AUTOSAVE_PENDING_KEY = "autosave-pending";
+// Autosaves reference their PDF by hash; the bytes are stored once under `pdf:<sha256>`
+const PDF_KEY_PREFIX = "pdf:";
+
+export type ReviewSession = {
+  version: number;
+  savedAt: string;
+  pdf: { name: string; type: string; data: Blob } | null;
+  form: string;
+  libraryPrompts: string[];
+  customList: { id: string; text: string }[];
+  selectedCustomIds: string[];
+  promptSetName: string;
+  customModel: string;
+  customSystem: string;
+  fieldSchema: FieldDef[];
+  result: { fields: any[] } | null;
+  resultSchema: FieldDef[];
+  runMeta: RunMeta | null;
+  activeFieldId: string | null;
+  edits?: EditEntry[];
+  piiAudit?: PiiAuditEntry[];
+  mixPolicy?: MixPolicy;
+  promptConfigs?: Record<string, RunConfig>;
+};
+
+function openSessionDb() {
+  return new Promise<IDBDatabase>((resolve, reject) => {
+    const req = indexedDB.open(SESSION_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(SESSION_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function sessionDbRequest<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest) {
+  const db = await openSessionDb();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const req = run(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+      req.onsuccess = () => resolve(req.result as T);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// An autosave as stored: the PDF is a reference by hash (older autosaves carry the bytes inline)
+type StoredSession = Omit<ReviewSession, "pdf"> & { pdf: { name: string; type: string; sha256?: string; data?: Blob } | null };
+
+const readSlot = (key: string) => sessionDbRequest<StoredSession | undefined>("readonly", (s) => s.get(key));
+
+// Hex digest; empty where Web Crypto is unavailable (non-secure origins)
+export async function sha256Hex(data: Blob | string) {
+  if (!globalThis.crypto?.subtle) return "";
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : await data.arrayBuffer();
+  const hash = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(hash), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Blob -> digest, so an unchanged PDF is hashed once per session
+const pdfHashes = new WeakMap<Blob, string>();
+
+export async function pdfHash(blob: Blob) {
+  let sha = pdfHashes.get(blob);
+  if (sha === undefined) {
+    sha = await sha256Hex(blob);
+    pdfHashes.set(blob, sha);
+  }
+  return sha;
+}
+
+// The newer of the two slots, with its PDF read back from the hash store
+export async function loadAutosave(): Promise<ReviewSession | undefined> {
+  const slots = (await Promise.all([readSlot(AUTOSAVE_KEY), readSlot(AUTOSAVE_PENDING_KEY)])).filter(Boolean) as StoredSession[];
+  const stored = slots.sort((a, b) => b.savedAt.localeCompare(a.savedAt))[0];
+  if (!stored) return undefined;
+  const { pdf, ...rest } = stored;
+  if (!pdf) return { ...rest, pdf: null };
+  const data = pdf.data || (pdf.sha256 ? await sessionDbRequest<Blob | undefined>("readonly", (s) => s.get(PDF_KEY_PREFIX + pdf.sha256)) : undefined);
+  return { ...rest, pdf: data ? { name: pdf.name, type: pdf.type, data } : null };
+}
+
+// Saves and clears run one after another: a prune must not see a PDF that a save in flight has
+// stored but not yet referenced from its slot
+let autosaveQueue: Promise<unknown> = Promise.resolve();
+function queueAutosave<T>(task: () => Promise<T>): Promise<T> {
+  const next = autosaveQueue.then(task, task);
+  autosaveQueue = next.catch(() => {});
+  return next;
+}
+
+// PDF bytes are written only when that hash isn't stored yet
+export function saveAutosave(session: ReviewSession, slot: string) {
+  return queueAutosave(async () => {
+    let pdf: StoredSession["pdf"] = null;
+    if (session.pdf) {
+      const { name, type, data } = session.pdf;
+      const sha = await pdfHash(data);
+      if (!sha) pdf = session.pdf;
+      else {
+        const key = PDF_KEY_PREFIX + sha;
+        if (!(await sessionDbRequest<number>("readonly", (s) => s.count(key)))) await sessionDbRequest<IDBValidKey>("readwrite", (s) => s.put(data, key));
+        pdf = { name, type, sha256: sha };
+      }
+    }
+    await sessionDbRequest<IDBValidKey>("readwrite", (s) => s.put({ ...session, pdf }, slot));
+    if (slot === AUTOSAVE_KEY) await sessionDbRequest<undefined>("readwrite", (s) => s.delete(AUTOSAVE_PENDING_KEY));
+    await prunePdfs();
+  });
+}
+
+export function clearAutosave() {
+  return queueAutosave(async () => {
+    await sessionDbRequest<undefined>("readwrite", (s) => s.delete(AUTOSAVE_KEY));
+    await sessionDbRequest<undefined>("readwrite", (s) => s.delete(AUTOSAVE_PENDING_KEY));
+    await prunePdfs();
+  });
+}
+
+// Drop stored PDFs no autosave slot refers to any more. Only called from inside the queue.
+async function prunePdfs() {
+  const slots = await Promise.all([readSlot(AUTOSAVE_KEY), readSlot(AUTOSAVE_PENDING_KEY)]);
+  const live = new Set(slots.map((s) => s?.pdf?.sha256).filter(Boolean).map((sha) => PDF_KEY_PREFIX + sha));
+  const keys = await sessionDbRequest<IDBValidKey[]>("readonly", (s) => s.getAllKeys());
+  for (const key of keys) {
+    if (typeof key === "string" && key.startsWith(PDF_KEY_PREFIX) && !live.has(key)) await sessionDbRequest<undefined>("readwrite", (s) => s.delete(key));
+  }
+}
+
+async function blobToBase64(blob: Blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBlob(b64: string, type: string) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+export async function sessionToFileText(session: ReviewSession) {
+  const pdf = session.pdf ? { name: session.pdf.name, type: session.pdf.type, base64: await blobToBase64(session.pdf.data) } : null;
+  return JSON.stringify({ ...session, kind: "bank-docs-review-session", pdf });
+}
+
+export function sessionFromFileText(text: string): ReviewSession {
+  const raw = JSON.parse(text);
+  if (raw?.kind !== "bank-docs-review-session") throw new Error("Not a review session file.");
+  if (raw.version > SESSION_VERSION) throw new Error(`Session version ${raw.version} is newer than this playground supports.`);
+  const { kind: _kind, pdf, ...rest } = raw;
+  return {
+    ...rest,
+    pdf: pdf ? { name: pdf.name, type: pdf.type || "application/pdf", data: base64ToBlob(pdf.base64, pdf.type || "application/pdf") } : null,
+  };
+}
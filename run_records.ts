@@ -0,0 +1,74 @@
+import type { ExtractPayload, ExtractRequest, MixPolicy } from "./extraction_providers";
+import { schemaFor, type FieldDef } from "./extraction_fields";
+import { detectPii, maskFields } from "./pii_masking";
+
+// ---------------------------------------------
+// What a run sent and received, kept for auditing, re-runs and exports.
+// ---------------------------------------------
+// Run details recorded when a result is produced; exported next to the fields.
+export type RunMeta = {
+  form: string;
+  formLabel?: string;
+  prompts: string[];
+  model?: string;
+  system?: string;
+  promptSetName?: string;
+  promptSetVersion?: number;
+  mixPolicy?: MixPolicy;
+  // the run record this result came from
+  runId?: string;
+  // set when the prompts went out in more than one request
+  configGroups?: { label: string; model?: string; system?: string; prompts: string[] }[];
+  provider?: string;
+  document?: string;
+  timestamp: string;
+};
+
+// One immutable record per run: the requests exactly as sent (the PDF itself is identified by its
+// SHA-256), latency and the raw payloads that came back. Replaying `requests` against the same PDF
+// reproduces the run byte for byte.
+export type RunRecord = {
+  id: string;
+  n: number;
+  at: string;
+  pdf: { name: string; size: number; sha256: string } | null;
+  provider: string;
+  stream: boolean;
+  requests: ExtractRequest[];
+  meta: RunMeta;
+  latencyMs: number;
+  status: "done" | "error" | "cancelled";
+  error?: string;
+  responses: ExtractPayload[];
+  responseSha256: string;
+  rerunOf?: string;
+};
+export const MAX_RUN_RECORDS = 50;
+const RUN_RECORD_FILE_KIND = "bank-docs-run-record";
+
+function deepFreeze<T>(v: T): T {
+  if (v && typeof v === "object" && !Object.isFrozen(v)) {
+    Object.freeze(v);
+    for (const x of Object.values(v)) deepFreeze(x);
+  }
+  return v;
+}
+
+// Frozen copy, so later state changes can't reach into the record
+export function freezeRunRecord(r: RunRecord) {
+  return deepFreeze(structuredClone(r));
+}
+
+// Raw payloads with PII masked like the exported fields; the hash still covers the original bytes.
+// `schema` is the one the record's fields were validated against.
+export function maskRunRecord(r: RunRecord, schema: FieldDef[]): RunRecord {
+  const mask = (f: any) => {
+    const m = detectPii(f, schemaFor(f, schema));
+    return m ? maskFields([f], new Map([[f.id, m]]))[0] : f;
+  };
+  return { ...r, responses: r.responses.map((p) => ({ ...p, fields: (p?.fields || []).map(mask) })) };
+}
+
+export function runRecordFileText(r: RunRecord) {
+  return JSON.stringify({ kind: RUN_RECORD_FILE_KIND, version: 1, record: r }, null, 2);
+}
@@ -23,6 +23,7 @@ import {
   Minimize2,
 } from "lucide-react";
 import { FixedSizeList as VList } from "react-window";
+import { createMockProvider } from "./extraction_providers";
 
 /**
  * Bank Documents Playground — enhanced with:
@@ -76,7 +77,7 @@ const DEFAULT_CONFIGS = {
 };
 
 // ---------------------------------------------
-// Mock extraction. Replace with your real API call.
+// Mock extraction. Default provider for offline demos.
 // ---------------------------------------------
 async function mockExtract(_args) {
   await new Promise((r) => setTimeout(r, 600));
@@ -119,6 +120,8 @@ async function mockExtract(_args) {
   };
 }
 
+export const mockProvider = createMockProvider(mockExtract);
+
 // ---------- small utils ----------
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
@@ -384,7 +387,7 @@ const Row = React.memo(function Row({ index, style, data }) {
 });
 
 // ---------- Main component ----------
-export default function BankDocsPlayground() {
+export default function BankDocsPlayground({ provider = mockProvider } = {}) {
   const [selectedForm, setSelectedForm] = useState(FORMS[0].value);
 
   // Prompts state
@@ -406,6 +409,7 @@ export default function BankDocsPlayground() {
   const [activeCoord, setActiveCoord] = useState(null);
 
   const [pdfUrl, setPdfUrl] = useState(null);
+  const [pdfFile, setPdfFile] = useState(null);
 
   // Right-pane preview tabs
   const [previewTab, setPreviewTab] = useState("excel");
@@ -491,13 +495,14 @@ export default function BankDocsPlayground() {
         config = def ? { ...def } : undefined;
       }
 
-      const payload = await mockExtract({
+      const payload = await provider.extract({
         form: selectedForm,
         prompts: promptsToRun,
-        pdfBlob: null,
+        pdfBlob: pdfFile,
         config,
         fieldNames: fieldsHint,
         promptSetName: nameMeta,
+        hadLibraryPrompts: selectedLibraryPrompts.size > 0,
       });
 
       const stabilized = payload.fields.map((f) => ({ ...f, id: f.id || uid("field") }));
@@ -515,7 +520,7 @@ export default function BankDocsPlayground() {
     } finally {
       setLoading(false);
     }
-  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, customModel, customSystem, fieldNames, promptSetName, selectedForm]);
+  }, [selectedLibraryPrompts, selectedCustomPrompts, onlyCustom, customModel, customSystem, fieldNames, promptSetName, selectedForm, provider, pdfFile]);
 
   const updateField = useCallback((id, value) => {
     startTransition(() => {
@@ -723,7 +728,7 @@ export default function BankDocsPlayground() {
               </div>
 
               {/* PDF upload */}
-              <PdfUpload onUrl={(u) => setPdfUrl(u)} url={pdfUrl} />
+              <PdfUpload onUrl={(u) => setPdfUrl(u)} onFile={(f) => setPdfFile(f)} url={pdfUrl} />
 
               {/* Run extraction */}
               <div className="md:col-span-4 flex items-end">
@@ -886,8 +891,8 @@ export default function BankDocsPlayground() {
         <footer className="mx-auto max-w-7xl px-4 pb-8">
           <div className="text-[12px] text-neutral-500">
             <p>
-              This is a non-admin playground. No data is persisted. To integrate with production services, connect the Run
-              Extraction action to your AI agent endpoint. When combining library & custom prompts, the component defaults
+              This is a non-admin playground. No data is persisted. To integrate with production services, pass an extraction
+              provider (e.g. createHttpProvider) to the playground. When combining library & custom prompts, the component defaults
               to the form's predefined system configuration.
             </p>
           </div>
@@ -912,12 +917,13 @@ function TabButton({ active, onClick, children, icon }) {
   );
 }
 
-function PdfUpload({ onUrl, url }) {
+function PdfUpload({ onUrl, onFile, url }) {
   function handlePdfUpload(e) {
     const f = e.target.files?.[0];
     if (f) {
       const url = URL.createObjectURL(f);
       onUrl(url);
+      onFile?.(f);
     }
   }
   return (
@@ -0,0 +1,316 @@
+import { coordRegions, fieldKey, schemaFor, type EditEntry, type FieldChange, type FieldDef, type FieldType } from "./extraction_fields";
+import type { RunRecord } from "./run_records";
+
+// ---------------------------------------------
+// XML export of extraction results, and the XSD that validates it.
+// ---------------------------------------------
+// Each form serializes to its own root element (e.g. <Form1099>) in a per-form namespace.
+// Schema fields become typed child elements in schema order; anything else lands in
+// <AdditionalField>. toXSD() generates the matching schema so downstream systems can validate.
+const XSD_NS = "http://www.w3.org/2001/XMLSchema";
+export const XSI_NS = "http://www.w3.org/2001/XMLSchema-instance";
+
+function xmlEsc(s: string) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/\'/g, "&apos;");
+}
+// "Box 1 Amount" -> "Box1Amount"; element names can't start with a digit
+function xmlName(name: string) {
+  const n = String(name || "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(n) ? n : `_${n}`;
+}
+// Element name per schema field; fields whose names collide (or hit a fixed element/type) get _2, _3, ...
+// "Additional" is taken because its "<name>Field" type would clash with the AdditionalField type.
+const RESERVED_XML_NAMES = ["AdditionalField", "Additional", "Changes", "RunRecord"];
+function xmlFieldNames(schema: FieldDef[]) {
+  const used = new Set(RESERVED_XML_NAMES);
+  const names = new Map<FieldDef, string>();
+  for (const def of schema) {
+    const base = xmlName(def.name);
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}_${i}`;
+    used.add(name);
+    names.set(def, name);
+  }
+  return names;
+}
+// Plain decimal notation (xs:decimal / xs:integer take no exponent): 1e+21 -> "1000000000000000000000"
+function xmlNumber(n: number) {
+  return /e/i.test(String(n)) ? n.toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 20 }) : String(n);
+}
+export function xmlRootName(form: string) {
+  return `Form${xmlName(form)}`.replace("Form_", "Form");
+}
+function xmlNamespace(form: string) {
+  return `urn:bankdocs:forms:${fieldKey(form) || "generic"}:v1`;
+}
+
+const XSD_TYPE_PATTERNS: Partial<Record<FieldType, string>> = {
+  ssn: "[0-9]{3}-[0-9]{2}-[0-9]{4}|\\*{3}-\\*{2}-[0-9]{4}",
+  tin: "[0-9]{2}-[0-9]{7}|[0-9]{3}-[0-9]{2}-[0-9]{4}|\\*{2}-?\\*{3}[0-9]{4}|\\*{3}-?\\*{2}-?[0-9]{4}",
+};
+const XSD_BASE: Record<FieldType, string> = {
+  string: "xs:string",
+  currency: "xs:decimal",
+  date: "xs:date",
+  ssn: "xs:string",
+  tin: "xs:string",
+  integer: "xs:integer",
+  enum: "xs:string",
+};
+
+export function toXML(
+  fields: any[],
+  { form, schema = [], generated, changes = [], run }: { form: string; schema?: FieldDef[]; generated?: string; changes?: FieldChange[]; run?: RunRecord }
+) {
+  const ns = xmlNamespace(form);
+  const root = xmlRootName(form);
+  const byDef = new Map<FieldDef, any[]>();
+  const extra: any[] = [];
+  for (const f of fields) {
+    const def = schemaFor(f, schema);
+    if (!def) extra.push(f);
+    else byDef.set(def, [...(byDef.get(def) || []), f]);
+  }
+  const attrs = (f: any) => {
+    const regions = coordRegions(f.coord);
+    // Multi-region fields list one page and one bbox per region, `;`-separated
+    return (
+      ` id="${xmlEsc(String(f.id))}" label="${xmlEsc(String(f.label ?? ""))}"` +
+      (regions.length
+        ? ` page="${regions.map((r) => r.page).join(";")}" bbox="${regions.map((r) => r.bbox.join(" ")).join(";")}"`
+        : "") +
+      (typeof f.confidence === "number" ? ` confidence="${xmlNumber(f.confidence)}"` : "") +
+      (f.source ? ` source="${xmlEsc(String(f.source))}"` : "")
+    );
+  };
+  const rows: string[] = [];
+  const names = xmlFieldNames(schema);
+  for (const def of schema) {
+    const name = names.get(def)!;
+    for (const f of byDef.get(def) || []) {
+      // Valid values are written normalized; invalid ones raw, so validation points at them
+      const norm = f.normalized;
+      const text = f.error ? String(f.value ?? "").trim() : norm != null ? (typeof norm === "number" ? xmlNumber(norm) : String(norm)) : "";
+      if (!text && !def.required) rows.push(`  <${name}${attrs(f)} xsi:nil="true"/>`);
+      else rows.push(`  <${name}${attrs(f)}>${xmlEsc(text)}</${name}>`);
+    }
+  }
+  for (const f of extra) rows.push(`  <AdditionalField${attrs(f)}>${xmlEsc(String(f.value ?? ""))}</AdditionalField>`);
+  if (changes.length) {
+    // Reviewer corrections: values as text, boxes as page/bbox attributes
+    const side = (tag: string, kind: EditEntry["kind"], v: any) => {
+      if (kind === "value") return `<${tag}>${xmlEsc(String(v ?? ""))}</${tag}>`;
+      const regions = coordRegions(v);
+      return regions.length
+        ? `<${tag} page="${regions.map((r) => r.page).join(";")}" bbox="${regions.map((r) => r.bbox.join(" ")).join(";")}"/>`
+        : `<${tag}/>`;
+    };
+    rows.push("  <Changes>");
+    for (const c of changes) {
+      const last = c.edits[c.edits.length - 1].at;
+      rows.push(
+        `    <Change field="${xmlEsc(c.id)}" label="${xmlEsc(String(c.label ?? ""))}" kind="${c.kind}" edits="${c.edits.length}" lastEdited="${last}">` +
+          side("Original", c.kind, c.original) +
+          side("Corrected", c.kind, c.corrected) +
+          "</Change>"
+      );
+    }
+    rows.push("  </Changes>");
+  }
+  if (run) {
+    // What was sent and received; the raw payloads as JSON
+    const opt = (name: string, v: any) => (v != null && v !== "" ? ` ${name}="${xmlEsc(String(v))}"` : "");
+    rows.push(
+      `  <RunRecord id="${xmlEsc(run.id)}" at="${run.at}"` +
+        opt("provider", run.provider) +
+        ` status="${run.status}" latencyMs="${run.latencyMs}"` +
+        opt("pdfName", run.pdf?.name) +
+        opt("pdfSha256", run.pdf?.sha256) +
+        opt("responseSha256", run.responseSha256) +
+        opt("rerunOf", run.rerunOf) +
+        ">"
+    );
+    for (const r of run.requests) {
+      rows.push(`    <Request form="${xmlEsc(r.form)}"${opt("model", r.config?.model)}${opt("system", r.config?.system)}>`);
+      for (const p of r.prompts) rows.push(`      <Prompt>${xmlEsc(p)}</Prompt>`);
+      for (const n of r.fieldNames || []) rows.push(`      <FieldHint>${xmlEsc(n)}</FieldHint>`);
+      rows.push("    </Request>");
+    }
+    rows.push(`    <Response>${xmlEsc(JSON.stringify(run.responses))}</Response>`);
+    rows.push("  </RunRecord>");
+  }
+  const open =
+    `<${root} xmlns="${ns}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${ns} ${root}.xsd"` +
+    (generated ? ` generated="${xmlEsc(generated)}"` : "") +
+    ">";
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${open}\n${rows.join("\n")}${rows.length ? "\n" : ""}</${root}>`;
+}
+
+export function toXSD(form: string, schema: FieldDef[]) {
+  const ns = xmlNamespace(form);
+  const root = xmlRootName(form);
+  const num = "-?[0-9]+(\\.[0-9]+)?([eE][+\\-]?[0-9]+)?";
+  const box = `${num} ${num} ${num} ${num}`;
+  const valueType = (def: FieldDef) => {
+    const facets: string[] = [];
+    if (def.type === "enum") for (const o of def.options || []) facets.push(`<xs:enumeration value="${xmlEsc(o)}"/>`);
+    const typePattern = XSD_TYPE_PATTERNS[def.type];
+    if (typePattern) facets.push(`<xs:pattern value="${xmlEsc(typePattern)}"/>`);
+    // XSD patterns are implicitly anchored
+    if (def.pattern && def.type === "string") facets.push(`<xs:pattern value="${xmlEsc(def.pattern.replace(/^\^/, "").replace(/\$$/, ""))}"/>`);
+    if (def.required && XSD_BASE[def.type] === "xs:string") facets.push(`<xs:minLength value="1"/>`);
+    const base = XSD_BASE[def.type];
+    if (!facets.length) return `    <xs:restriction base="${base}"/>`;
+    return `    <xs:restriction base="${base}">\n${facets.map((x) => `      ${x}`).join("\n")}\n    </xs:restriction>`;
+  };
+  const names = xmlFieldNames(schema);
+  const types = schema
+    .map((def) => {
+      const name = names.get(def)!;
+      return [
+        `  <xs:simpleType name="${name}Value">`,
+        valueType(def),
+        `  </xs:simpleType>`,
+        `  <xs:complexType name="${name}Field">`,
+        `    <xs:simpleContent>`,
+        `      <xs:extension base="${name}Value">`,
+        `        <xs:attributeGroup ref="FieldAttributes"/>`,
+        `      </xs:extension>`,
+        `    </xs:simpleContent>`,
+        `  </xs:complexType>`,
+      ].join("\n");
+    })
+    .join("\n");
+  const elements = schema
+    .map((def) => {
+      const name = names.get(def)!;
+      return `        <xs:element name="${name}" type="${name}Field" minOccurs="${def.required ? 1 : 0}" maxOccurs="unbounded"${def.required ? "" : ` nillable="true"`}/>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="${XSD_NS}" targetNamespace="${ns}" xmlns="${ns}" elementFormDefault="qualified">
+  <xs:simpleType name="PageList">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="[1-9][0-9]*(;[1-9][0-9]*)*"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="BBoxList">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="${box}(;${box})*"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Confidence">
+    <xs:restriction base="xs:decimal">
+      <xs:minInclusive value="0"/>
+      <xs:maxInclusive value="1"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:attributeGroup name="FieldAttributes">
+    <xs:attribute name="id" type="xs:string" use="required"/>
+    <xs:attribute name="label" type="xs:string"/>
+    <xs:attribute name="page" type="PageList"/>
+    <xs:attribute name="bbox" type="BBoxList"/>
+    <xs:attribute name="confidence" type="Confidence"/>
+    <xs:attribute name="source" type="xs:string"/>
+  </xs:attributeGroup>
+${types ? types + "\n" : ""}  <xs:complexType name="AdditionalField">
+    <xs:simpleContent>
+      <xs:extension base="xs:string">
+        <xs:attributeGroup ref="FieldAttributes"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:complexType name="ChangeSide">
+    <xs:simpleContent>
+      <xs:extension base="xs:string">
+        <xs:attribute name="page" type="PageList"/>
+        <xs:attribute name="bbox" type="BBoxList"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:complexType name="Change">
+    <xs:sequence>
+      <xs:element name="Original" type="ChangeSide"/>
+      <xs:element name="Corrected" type="ChangeSide"/>
+    </xs:sequence>
+    <xs:attribute name="field" type="xs:string" use="required"/>
+    <xs:attribute name="label" type="xs:string"/>
+    <xs:attribute name="kind" use="required">
+      <xs:simpleType>
+        <xs:restriction base="xs:string">
+          <xs:enumeration value="value"/>
+          <xs:enumeration value="coord"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:attribute>
+    <xs:attribute name="edits" type="xs:positiveInteger"/>
+    <xs:attribute name="lastEdited" type="xs:dateTime"/>
+  </xs:complexType>
+  <xs:complexType name="Changes">
+    <xs:sequence>
+      <xs:element name="Change" type="Change" maxOccurs="unbounded"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="RunRequest">
+    <xs:sequence>
+      <xs:element name="Prompt" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+      <xs:element name="FieldHint" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+    </xs:sequence>
+    <xs:attribute name="form" type="xs:string" use="required"/>
+    <xs:attribute name="model" type="xs:string"/>
+    <xs:attribute name="system" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="RunRecord">
+    <xs:sequence>
+      <xs:element name="Request" type="RunRequest" maxOccurs="unbounded"/>
+      <xs:element name="Response" type="xs:string"/>
+    </xs:sequence>
+    <xs:attribute name="id" type="xs:string" use="required"/>
+    <xs:attribute name="at" type="xs:dateTime" use="required"/>
+    <xs:attribute name="provider" type="xs:string"/>
+    <xs:attribute name="status" use="required">
+      <xs:simpleType>
+        <xs:restriction base="xs:string">
+          <xs:enumeration value="done"/>
+          <xs:enumeration value="error"/>
+          <xs:enumeration value="cancelled"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:attribute>
+    <xs:attribute name="latencyMs" type="xs:nonNegativeInteger"/>
+    <xs:attribute name="pdfName" type="xs:string"/>
+    <xs:attribute name="pdfSha256" type="xs:string"/>
+    <xs:attribute name="responseSha256" type="xs:string"/>
+    <xs:attribute name="rerunOf" type="xs:string"/>
+  </xs:complexType>
+  <xs:element name="${root}">
+    <xs:complexType>
+      <xs:sequence>
+${elements ? elements + "\n" : ""}        <xs:element name="AdditionalField" type="AdditionalField" minOccurs="0" maxOccurs="unbounded"/>
+        <xs:element name="Changes" type="Changes" minOccurs="0"/>
+        <xs:element name="RunRecord" type="RunRecord" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="generated" type="xs:dateTime"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+}
+
+// Validates with libxml2 compiled to wasm, loaded on first use so it stays out of the initial bundle
+export async function validateXmlAgainstXsd(xml: string, xsd: string, root: string) {
+  const { validateXML } = await import("xmllint-wasm");
+  const res = await validateXML({
+    xml: [{ fileName: `${root}.xml`, contents: xml }],
+    schema: [{ fileName: `${root}.xsd`, contents: xsd }],
+  });
+  return { valid: res.valid, errors: res.errors.map((e: any) => e.message || e.rawMessage) as string[] };
+}